@@ -5,19 +5,93 @@ class TrendingApp {
     constructor() {
         // Initialize modules
         this.cache = new CacheManager();
-        this.dataFetcher = new DataFetcher(this.cache);
+        this.history = new HistoryStore();
+        this.scheduler = new RequestScheduler(); // Shared by every network request
+        this.starVelocity = new StarVelocity();
+        this.dataFetcher = new DataFetcher(this.cache, this.history, this.scheduler, this.starVelocity);
         this.uiComponents = new UIComponents();
-        this.settingsManager = new SettingsManager(this.uiComponents);
+        this.watchRules = new WatchRules();
+        this.muteList = new MuteList();
+        this.languageProfiles = new LanguageProfiles();
+        this.readingList = new ReadingList();
+        this.visitTracker = new VisitTracker();
+        this.exporter = new TrendingExporter();
+        this.languageCatalog = new LanguageCatalog(this.dataFetcher);
+        this.settingsManager = new SettingsManager(this.uiComponents, this.watchRules, this.languageCatalog, new WebhookDispatcher(), this.muteList, this.languageProfiles);
+        this.historyView = new HistoryView(this.history, this.uiComponents);
+        this.readingListView = new ReadingListView(this.readingList, this.uiComponents);
+        this.filterBar = new FilterBar(document.getElementById('trending-container'));
+        this.enricher = new RepoEnricher({ scheduler: this.scheduler });
+        this.starManager = new StarManager(this.enricher);
         
         // Application state
         this.languages = [null]; // Will be populated from settings (null = Overall Trending)
         this.sectionTimeRanges = new Map();
+        this.sectionSortOrders = new Map(); // Section key -> sort order (persisted)
+        this.profileTimeRanges = {}; // Section key -> default time range of the active profile
+        this.requestedSections = new Set(); // Section keys (and 'developers') whose data was requested
+        this.openedSections = new Set(); // Section keys opened this session; only these preload other time ranges
+        this.sectionObserver = new IntersectionObserver(this.handleSectionVisibility.bind(this), {
+            rootMargin: '300px 0px' // Start fetching a little before a section scrolls into view
+        });
+        this.developersSection = { ...window.LanguageSettings.DEFAULT_DEVELOPERS_SECTION };
+        this.spokenLanguage = ''; // '' = any spoken language
+        this.spokenLanguageOverrides = {}; // Section key -> spoken language code
+        this.hideSeen = false;
+        this.renderedMuteRules = '[]'; // Mute rules the sections were last rendered with
+        this.showCombinedFeed = true;
+        this.watchHitsTimer = null;
+        this.combinedFeedTimer = null;
+        this.fastestRisingTimer = null;
+        this.fastestRisingLimit = 12;
+        this.pendingRevealSection = new URLSearchParams(window.location.hash.substring(1)).get('section');
+        this.parserWarnings = new Map(); // Page key -> warnings from the latest parse of that page
+        this.parserWarningDismissed = false;
+        this.apiEnrichment = { ...window.LanguageSettings.DEFAULT_API_ENRICHMENT };
+        this.enrichTimer = null;
         
         // Bind methods
         this.processLanguageResult = this.processLanguageResult.bind(this);
         
         // Set up settings save callback
         this.settingsManager.setSaveCallback(this.handleSettingsSave.bind(this));
+        this.settingsManager.setRulesChangeCallback(kind => {
+            if (kind === 'mute') {
+                this.rerenderSections();
+            } else {
+                this.applyWatchRules();
+            }
+        });
+        this.readingListView.setCloseCallback(this.refreshBookmarks.bind(this));
+        this.dataFetcher.setDiagnosticsCallback(this.updateParserWarning.bind(this));
+
+        // Offline indicator; refetch what failed once the connection is back
+        this.updateOfflineIndicator();
+        window.addEventListener('offline', () => this.updateOfflineIndicator());
+        window.addEventListener('online', () => {
+            this.updateOfflineIndicator();
+            this.refetchFailedSections();
+        });
+
+        // Enrich cards whenever sections render or re-render
+        new MutationObserver(() => this.scheduleEnrichment()).observe(document.getElementById('trending-container'), {
+            childList: true,
+            subtree: true
+        });
+
+        document.getElementById('dismiss-parser-warning').addEventListener('click', () => {
+            this.parserWarningDismissed = true;
+            document.getElementById('parser-warning').classList.add('hidden');
+        });
+
+        document.getElementById('profile-select').addEventListener('change', (e) => this.handleProfileSelect(e.target.value));
+
+        // Whole-page export goes first in the header
+        document.getElementById('header-actions').prepend(this.uiComponents.createExportMenu(
+            this.exporter.formats,
+            (format, action) => this.exportSections(this.languages, format, action),
+            'bg-gray-200 hover:bg-gray-300 text-gray-700 font-medium py-2 px-4 rounded-lg transition-colors duration-200'
+        ));
         
         // Initialize the application
         this.initialize();
@@ -26,25 +100,251 @@ class TrendingApp {
     // Load language settings and update languages array
     async loadLanguageSettings() {
         try {
-            const selectedLanguages = await window.LanguageSettings.loadSelectedLanguages();
-            // Always include null (Overall Trending) first, then selected languages
-            this.languages = [null, ...selectedLanguages];
+            const profile = await this.languageProfiles.load();
+            // Always include null (Overall Trending) first, then the active profile's languages in section order
+            this.languages = [null, ...profile.languages];
+            this.profileTimeRanges = { ...profile.timeRanges };
         } catch (error) {
             console.error('Error loading language settings:', error);
             // Fallback to default languages
             this.languages = [null, ...window.LanguageSettings.getDefaultLanguages()];
         }
+
+        try {
+            this.developersSection = await window.LanguageSettings.loadDevelopersSection();
+        } catch (error) {
+            console.error('Error loading developers section settings:', error);
+        }
+
+        try {
+            this.spokenLanguage = await window.LanguageSettings.loadSpokenLanguage();
+            this.spokenLanguageOverrides = await window.LanguageSettings.loadSpokenLanguageOverrides();
+        } catch (error) {
+            console.error('Error loading spoken language settings:', error);
+        }
+
+        try {
+            this.hideSeen = await window.LanguageSettings.loadHideSeenRepos();
+        } catch (error) {
+            console.error('Error loading hide seen setting:', error);
+        }
+
+        try {
+            this.showCombinedFeed = await window.LanguageSettings.loadShowCombinedFeed();
+        } catch (error) {
+            console.error('Error loading combined feed setting:', error);
+        }
+
+        try {
+            this.apiEnrichment = await window.LanguageSettings.loadApiEnrichment();
+            this.enricher.configure(this.apiEnrichment);
+        } catch (error) {
+            console.error('Error loading API enrichment settings:', error);
+        }
+
+        try {
+            this.sectionSortOrders = new Map(Object.entries(await window.LanguageSettings.loadSectionSortOrders()));
+        } catch (error) {
+            console.error('Error loading section sort orders:', error);
+        }
+    }
+
+    // Show the "parser may be outdated" warning while any page's latest parse looks wrong
+    updateParserWarning(diagnostics) {
+        const key = `${diagnostics.language || 'all'}-${diagnostics.timeRange}`;
+        if (diagnostics.outdated) {
+            this.parserWarnings.set(key, diagnostics.warnings);
+        } else {
+            this.parserWarnings.delete(key);
+        }
+
+        const banner = document.getElementById('parser-warning');
+        const warnings = [...new Set(Array.from(this.parserWarnings.values()).flat())];
+        document.getElementById('parser-warning-details').innerHTML = warnings.map(warning =>
+            `<li>${this.uiComponents.escapeHTML(warning)}</li>`
+        ).join('') + `<li>Parser version ${diagnostics.parserVersion}</li>`;
+        banner.classList.toggle('hidden', warnings.length === 0 || this.parserWarningDismissed);
+    }
+
+    // Debounce enrichment while many cards render
+    scheduleEnrichment() {
+        clearTimeout(this.enrichTimer);
+        this.enrichTimer = setTimeout(() => this.enrichCards(), 300);
+    }
+
+    // Add GitHub REST API metadata to every card that doesn't have it yet
+    async enrichCards() {
+        if (!this.apiEnrichment.enabled) return;
+
+        const container = document.getElementById('trending-container');
+        const cards = Array.from(container.querySelectorAll('.repo-card[data-repo]:not([data-enriched])'));
+        if (cards.length === 0) return;
+
+        const metadata = await this.enricher.enrich(cards.map(card => card.dataset.repo));
+        // Cards may have been re-rendered meanwhile, so look them up again
+        container.querySelectorAll('.repo-card[data-repo]:not([data-enriched])').forEach(card => {
+            if (metadata.has(card.dataset.repo)) {
+                this.uiComponents.setRepoMetadata(card, metadata.get(card.dataset.repo));
+            }
+        });
+    }
+
+    // Remove API metadata from every card and look it up again with the current settings
+    refreshEnrichment() {
+        document.querySelectorAll('#trending-container .repo-card[data-enriched]').forEach(card => {
+            card.querySelector('.repo-metadata')?.remove();
+            delete card.dataset.enriched;
+        });
+        this.enrichCards();
+    }
+
+    // Get the star manager when starring is possible (a token is configured)
+    getStars() {
+        return this.starManager.isAvailable() ? this.starManager : null;
+    }
+
+    // Load the user's starred repositories and show them on the star toggles
+    async refreshStars() {
+        await this.starManager.load();
+        document.querySelectorAll('#trending-container .repo-card[data-repo]').forEach(card => {
+            const button = card.querySelector('.star-btn');
+            if (button) {
+                this.uiComponents.renderStarButton(button, this.starManager.isStarred(card.dataset.repo));
+            }
+        });
+    }
+
+    // Get the last successful result for a section, however old (null if there never was one)
+    getLastKnown(language, timeRange) {
+        return this.cache.getStale(language, timeRange || 'daily', this.getFetchOptions(language));
+    }
+
+    // Show or hide the page-wide offline indicator
+    updateOfflineIndicator() {
+        document.getElementById('offline-indicator').classList.toggle('hidden', navigator.onLine);
+    }
+
+    // Refetch every section showing stale data or an error, e.g. once the connection is back
+    async refetchFailedSections() {
+        const container = document.getElementById('trending-container');
+        const languages = this.languages.filter(lang => {
+            const section = container.querySelector(`[data-language="${lang || 'all'}"]`);
+            return section && (section.dataset.stale || section.dataset.failed);
+        });
+
+        await Promise.all(languages.map(async (lang) => {
+            const timeRange = this.sectionTimeRanges.get(lang || 'all') || 'daily';
+            const fetchOptions = this.getFetchOptions(lang);
+            const repos = await this.dataFetcher.fetchTrendingRepos(lang, timeRange, fetchOptions);
+            if (repos.length > 0) {
+                this.applyRevalidatedRepos(lang, timeRange, repos, container, fetchOptions);
+            }
+        }));
+
+        if (languages.length > 0 && this.showCombinedFeed) {
+            const combinedBody = container.querySelector('[data-section="combined"] .combined-feed-body');
+            await this.displayCombinedFeed(container, combinedBody && combinedBody.style.display !== 'none');
+        }
+    }
+
+    // Get the spoken language for a section, honoring its override
+    getSpokenLanguage(language) {
+        const key = language || 'all';
+        return key in this.spokenLanguageOverrides ? this.spokenLanguageOverrides[key] : this.spokenLanguage;
+    }
+
+    // Get the fetch options for a section
+    getFetchOptions(language) {
+        return { spokenLanguage: this.getSpokenLanguage(language) };
+    }
+
+    // Set or clear (override undefined) a section's spoken language override
+    async setSpokenLanguageOverride(language, override) {
+        const key = language || 'all';
+        if (override === undefined) {
+            delete this.spokenLanguageOverrides[key];
+        } else {
+            this.spokenLanguageOverrides[key] = override;
+        }
+        await window.LanguageSettings.saveSpokenLanguageOverrides(this.spokenLanguageOverrides);
     }
 
     // Handle settings save with smart updates
-    async handleSettingsSave(selectedLanguages) {
+    async handleSettingsSave(selectedLanguages, preferences = {}) {
         const oldLanguages = this.languages.slice(1); // Remove 'null' (Overall Trending)
+        const developersWasEnabled = this.developersSection.enabled;
+        const spokenLanguageChanged = preferences.spokenLanguage !== undefined &&
+            preferences.spokenLanguage !== this.spokenLanguage;
+        const hideSeenChanged = preferences.hideSeen !== undefined && preferences.hideSeen !== this.hideSeen;
+        const combinedFeedChanged = preferences.showCombinedFeed !== undefined &&
+            preferences.showCombinedFeed !== this.showCombinedFeed;
+        const apiEnrichmentChanged = preferences.apiEnrichment !== undefined &&
+            JSON.stringify(preferences.apiEnrichment) !== JSON.stringify(this.apiEnrichment);
+        const languageColorsChanged = preferences.languageColors !== undefined &&
+            JSON.stringify(preferences.languageColors) !== JSON.stringify(await window.LanguageSettings.loadLanguageColorOverrides());
+        const starsChanged = apiEnrichmentChanged && (preferences.apiEnrichment.token !== this.apiEnrichment.token ||
+            preferences.apiEnrichment.apiBaseUrl !== this.apiEnrichment.apiBaseUrl);
+        // Sections whose default time range changed (with the profile, or in its settings)
+        const timeRangeChangedKeys = preferences.sectionTimeRanges === undefined ? [] :
+            ['all', ...selectedLanguages].filter(key =>
+                (preferences.sectionTimeRanges[key] || 'daily') !== (this.profileTimeRanges[key] || 'daily'));
 
-        // Save to storage
-        await window.LanguageSettings.saveSelectedLanguages(selectedLanguages);
+        // Watch and mute rules are saved as they are edited; pick up the latest ones
+        await this.watchRules.load();
+        await this.muteList.load();
+        const muteRulesChanged = JSON.stringify(this.muteList.rules) !== this.renderedMuteRules;
+
+        // Save to storage; the active profile keeps the languages in section order
+        await this.languageProfiles.updateActive(selectedLanguages,
+            preferences.sectionTimeRanges || this.languageProfiles.getActive().timeRanges);
+        if (preferences.showDevelopers !== undefined && preferences.showDevelopers !== developersWasEnabled) {
+            await window.LanguageSettings.saveDevelopersSection({
+                ...this.developersSection,
+                enabled: preferences.showDevelopers
+            });
+        }
+        if (spokenLanguageChanged) {
+            await window.LanguageSettings.saveSpokenLanguage(preferences.spokenLanguage);
+        }
+        if (hideSeenChanged) {
+            await window.LanguageSettings.saveHideSeenRepos(preferences.hideSeen);
+        }
+        if (combinedFeedChanged) {
+            await window.LanguageSettings.saveShowCombinedFeed(preferences.showCombinedFeed);
+        }
+        if (preferences.backgroundRefresh) {
+            // The service worker reschedules its alarm when this changes
+            await window.LanguageSettings.saveBackgroundRefresh(preferences.backgroundRefresh);
+        }
+        if (apiEnrichmentChanged) {
+            await window.LanguageSettings.saveApiEnrichment(preferences.apiEnrichment);
+        }
+        if (preferences.webhook) {
+            // Deliveries happen in the service worker, which reads this on every refresh
+            await window.LanguageSettings.saveWebhook(preferences.webhook);
+        }
+        if (languageColorsChanged) {
+            await window.LanguageSettings.saveLanguageColorOverrides(preferences.languageColors);
+            this.uiComponents.recolorLanguageDots(document.body);
+        }
         
         // Update current languages
         await this.loadLanguageSettings();
+        if (apiEnrichmentChanged) {
+            this.refreshEnrichment();
+        }
+        if (starsChanged) {
+            // Star toggles appear, disappear or show another user's stars
+            this.starManager.reset();
+            this.refreshStars();
+        }
+
+        // A new spoken language affects every section, so reload them all
+        if (spokenLanguageChanged) {
+            this.sectionTimeRanges.clear();
+            await this.displayTrendingRepos();
+            return;
+        }
         
         // Find differences
         const newLanguages = selectedLanguages.filter(lang => !oldLanguages.includes(lang));
@@ -54,68 +354,482 @@ class TrendingApp {
         if (newLanguages.length > 0 || removedLanguages.length > 0) {
             await this.updateLanguageSections(newLanguages, removedLanguages);
         }
+        if (selectedLanguages.join('|') !== oldLanguages.join('|')) {
+            this.reorderSections();
+        }
+        timeRangeChangedKeys
+            .filter(key => !newLanguages.includes(key))
+            .forEach(key => this.applyDefaultTimeRange(key === 'all' ? null : key));
+
+        // Add, remove or refresh the developers section (its scope options follow the languages)
+        const container = document.getElementById('trending-container');
+        if (!this.developersSection.enabled) {
+            this.dataFetcher.cancelSection('developers');
+            const developersSection = container.querySelector('[data-section="developers"]');
+            if (developersSection) {
+                this.sectionObserver.unobserve(developersSection);
+                developersSection.remove();
+            }
+            this.requestedSections.delete('developers');
+        } else if (!developersWasEnabled || newLanguages.length > 0 || removedLanguages.length > 0) {
+            if (this.developersSection.language && !selectedLanguages.includes(this.developersSection.language)) {
+                this.developersSection.language = null;
+                await window.LanguageSettings.saveDevelopersSection(this.developersSection);
+            }
+            // A placeholder that hasn't loaded yet picks up the changes when it does
+            if (this.requestedSections.has('developers')) {
+                await this.displayDevelopersSection(container, developersWasEnabled);
+            } else if (!container.querySelector('[data-section="developers"]')) {
+                this.addLazyDevelopersSection(container);
+            }
+        }
+
+        if (hideSeenChanged || starsChanged || muteRulesChanged) {
+            this.rerenderSections();
+        }
+
+        if (combinedFeedChanged || starsChanged || newLanguages.length > 0 || removedLanguages.length > 0) {
+            const combinedBody = container.querySelector('[data-section="combined"] .combined-feed-body');
+            await this.displayCombinedFeed(container, combinedBody && combinedBody.style.display !== 'none');
+        }
+
+        this.applyWatchRules();
     }
 
-    // Efficiently update language sections without full reload
-    async updateLanguageSections(newLanguages, removedLanguages) {
+    // Get a section's default time range from the active profile
+    getDefaultTimeRange(language) {
+        return this.profileTimeRanges[language || 'all'] || 'daily';
+    }
+
+    // Move language sections into the active profile's order; sections without a language stay where they are
+    reorderSections() {
         const container = document.getElementById('trending-container');
-        
-        // Remove sections for languages that are no longer selected
-        removedLanguages.forEach(lang => {
-            const section = container.querySelector(`[data-language="${lang || 'all'}"]`);
+        this.languages.slice(1).forEach(lang => {
+            const section = container.querySelector(`[data-language="${lang}"]`);
             if (section) {
-                section.remove();
+                container.appendChild(section);
             }
         });
-        
-        // Add sections for new languages
-        if (newLanguages.length > 0) {
-            // Create placeholder sections for new languages
-            newLanguages.forEach(lang => {
-                const key = lang || 'all';
-                if (!this.sectionTimeRanges.has(key)) {
-                    this.sectionTimeRanges.set(key, 'daily');
+    }
+
+    // Switch a section to its new default time range, reloading it if it was loaded
+    applyDefaultTimeRange(lang) {
+        const key = lang || 'all';
+        const container = document.getElementById('trending-container');
+        this.sectionTimeRanges.set(key, this.getDefaultTimeRange(lang));
+        if (!this.requestedSections.has(key)) return; // The placeholder loads the new range when it's needed
+
+        const section = container.querySelector(`[data-language="${key}"]`);
+        if (!section) return;
+        this.dataFetcher.cancelSection(key);
+        this.requestedSections.delete(key);
+        container.replaceChild(this.uiComponents.createLoadingSection(lang), section);
+        this.loadSection(lang, container);
+    }
+
+    // Render the profile switcher in the header
+    renderProfileSelect() {
+        const select = document.getElementById('profile-select');
+        select.innerHTML = [
+            ...this.languageProfiles.profiles.map(profile =>
+                `<option value="${profile.id}">${this.uiComponents.escapeHTML(profile.name)}</option>`),
+            '<option disabled>──────────</option>',
+            '<option value="new">New profile…</option>',
+            '<option value="rename">Rename profile…</option>',
+            '<option value="delete">Delete profile…</option>'
+        ].join('');
+        select.value = this.languageProfiles.getActive().id;
+    }
+
+    // Handle the profile switcher: switch to a profile, or add, rename or delete one
+    async handleProfileSelect(value) {
+        const active = this.languageProfiles.getActive();
+        try {
+            if (value === 'new') {
+                const name = prompt('Name of the new profile (it starts with the current languages):');
+                if (name !== null) {
+                    await this.languageProfiles.create(name);
+                }
+            } else if (value === 'rename') {
+                const name = prompt('Rename profile:', active.name);
+                if (name !== null) {
+                    await this.languageProfiles.rename(active.id, name);
+                }
+            } else if (value === 'delete') {
+                if (confirm(`Delete the "${active.name}" profile?`)) {
+                    const profile = await this.languageProfiles.remove(active.id);
+                    await this.handleSettingsSave(profile.languages, { sectionTimeRanges: profile.timeRanges });
                 }
+            } else if (value !== active.id) {
+                const profile = await this.languageProfiles.setActive(value);
+                await this.handleSettingsSave(profile.languages, { sectionTimeRanges: profile.timeRanges });
+            }
+        } catch (error) {
+            alert(`Error: ${error.message}`);
+        }
+        this.renderProfileSelect();
+    }
 
-                const section = this.uiComponents.createLoadingSection(lang);
-                container.appendChild(section);
+    // Rebuild every loaded language section from cached data, keeping expanded sections expanded
+    rerenderSections() {
+        const container = document.getElementById('trending-container');
+        this.renderedMuteRules = JSON.stringify(this.muteList.rules);
+        this.languages.forEach(lang => {
+            if (!this.requestedSections.has(lang || 'all')) return;
+            const timeRange = this.sectionTimeRanges.get(lang || 'all') || 'daily';
+            const fetchOptions = this.getFetchOptions(lang);
+            const cached = this.cache.getStale(lang, timeRange, fetchOptions);
+            if (cached) {
+                this.applyRevalidatedRepos(lang, timeRange, cached.data, container, fetchOptions);
+            }
+        });
+
+        // "Watch hits", "Fastest rising" and the combined feed leave out muted repositories too
+        this.scheduleWatchHitsUpdate();
+        this.scheduleFastestRisingUpdate();
+        const combinedBody = container.querySelector('[data-section="combined"] .combined-feed-body');
+        if (combinedBody && combinedBody.style.display !== 'none') {
+            this.displayCombinedFeed(container, true);
+        } else {
+            this.scheduleCombinedFeedUpdate();
+        }
+    }
+
+    // Re-highlight rendered cards and rebuild "Watch hits" after the rules changed
+    applyWatchRules() {
+        const container = document.getElementById('trending-container');
+
+        this.languages.forEach(lang => {
+            const key = lang || 'all';
+            const section = container.querySelector(`[data-language="${key}"]`);
+            const cached = this.cache.getStale(lang, this.sectionTimeRanges.get(key) || 'daily', this.getFetchOptions(lang));
+            if (!section || !cached) return;
+
+            const reposByName = new Map(cached.data.map(repo => [repo.full_name, repo]));
+            section.querySelectorAll('.repo-card[data-repo]').forEach(card => {
+                const repo = reposByName.get(card.dataset.repo);
+                if (repo) {
+                    this.uiComponents.setWatchHighlight(card, this.watchRules.matchRepo(repo));
+                }
             });
+        });
 
-            // Load data for new languages only
-            const newLanguagePromises = newLanguages.map(async (lang) => {
-                try {
-                    const repos = await this.dataFetcher.fetchTrendingRepos(lang, 'daily');
-                    const result = {
-                        language: lang,
-                        timeRange: 'daily',
-                        repos,
-                        success: repos.length > 0
-                    };
-                    
-                    // Process result immediately
-                    this.processLanguageResult(result, container);
-                    
-                    return result;
-                } catch (error) {
-                    const result = {
-                        language: lang,
-                        timeRange: 'daily',
-                        error,
-                        success: false
-                    };
-                    
-                    // Process error result immediately
-                    this.processLanguageResult(result, container);
-                    
-                    return result;
+        this.updateWatchHitsSection();
+    }
+
+    // Sync bookmark buttons with the reading list after it was edited
+    refreshBookmarks() {
+        const container = document.getElementById('trending-container');
+        container.querySelectorAll('.repo-card[data-repo]').forEach(card => {
+            const button = card.querySelector('.bookmark-btn');
+            if (button) {
+                this.uiComponents.renderBookmarkButton(button, this.readingList.has(card.dataset.repo));
+            }
+        });
+    }
+
+    // Export the loaded repositories of some sections in their current time range
+    async exportSections(languages, format, action) {
+        const sections = languages.map(lang => {
+            const timeRange = this.sectionTimeRanges.get(lang || 'all') || 'daily';
+            const cached = this.cache.getStale(lang, timeRange, this.getFetchOptions(lang));
+            return cached ? { language: lang, timeRange, repos: cached.data } : null;
+        }).filter(Boolean);
+
+        if (sections.length === 0) {
+            throw new Error('Nothing has loaded yet');
+        }
+
+        if (action === 'copy') {
+            await this.exporter.copy(sections, format);
+        } else {
+            this.exporter.download(sections, format);
+        }
+    }
+
+    // Collect watch rule matches across every loaded language and time range, leaving out muted repositories
+    collectWatchHits() {
+        const hits = new Map();
+
+        this.languages.forEach(lang => {
+            this.uiComponents.timeRanges.forEach(timeRange => {
+                const cached = this.cache.getStale(lang, timeRange, this.getFetchOptions(lang));
+                if (!cached) return;
+
+                cached.data.forEach(repo => {
+                    const matches = this.watchRules.matchRepo(repo);
+                    if (matches.length === 0 || this.muteList.matchRepo(repo)) return;
+
+                    if (!hits.has(repo.full_name)) {
+                        hits.set(repo.full_name, { repo, matches, sources: [] });
+                    }
+                    hits.get(repo.full_name).sources.push({ language: lang, timeRange });
+                });
+            });
+        });
+
+        return Array.from(hits.values()).sort((a, b) => b.repo.period_stars - a.repo.period_stars);
+    }
+
+    // Debounce "Watch hits" updates while many sections finish loading
+    scheduleWatchHitsUpdate() {
+        clearTimeout(this.watchHitsTimer);
+        this.watchHitsTimer = setTimeout(() => this.updateWatchHitsSection(), 300);
+    }
+
+    // Show, refresh or remove the "Watch hits" section at the top of the page
+    updateWatchHitsSection() {
+        const container = document.getElementById('trending-container');
+        const existing = container.querySelector('[data-section="watch-hits"]');
+
+        if (this.watchRules.rules.length === 0) {
+            existing?.remove();
+            return;
+        }
+
+        const section = this.uiComponents.createWatchHitsSection(this.collectWatchHits(), {
+            readingList: this.readingList,
+            stars: this.getStars(),
+            velocity: this.starVelocity
+        });
+        if (existing) {
+            // Keep the user's collapsed/expanded choice
+            section.querySelector('.grid').style.display = existing.querySelector('.grid').style.display;
+            container.replaceChild(section, existing);
+        } else {
+            container.prepend(section);
+        }
+    }
+
+    // Collect the loaded (unmuted) repositories gaining stars fastest, across every language and time range
+    collectFastestRising() {
+        const entries = new Map();
+
+        this.languages.forEach(lang => {
+            this.uiComponents.timeRanges.forEach(timeRange => {
+                const cached = this.cache.getStale(lang, timeRange, this.getFetchOptions(lang));
+                if (!cached) return;
+
+                cached.data.forEach(repo => {
+                    if (entries.has(repo.full_name) || this.muteList.matchRepo(repo)) return;
+                    const velocity = this.starVelocity.get(repo.full_name);
+                    if (velocity && velocity.starsPerHour > 0) {
+                        entries.set(repo.full_name, { repo, velocity });
+                    }
+                });
+            });
+        });
+
+        return Array.from(entries.values())
+            .sort((a, b) => b.velocity.starsPerHour - a.velocity.starsPerHour)
+            .slice(0, this.fastestRisingLimit);
+    }
+
+    // Debounce "Fastest rising" updates while many sections finish loading
+    scheduleFastestRisingUpdate() {
+        clearTimeout(this.fastestRisingTimer);
+        this.fastestRisingTimer = setTimeout(() => this.updateFastestRisingSection(), 300);
+    }
+
+    // Show, refresh or remove the "Fastest rising" section near the top of the page
+    updateFastestRisingSection() {
+        const container = document.getElementById('trending-container');
+        const existing = container.querySelector('[data-section="fastest-rising"]');
+        const entries = this.collectFastestRising();
+
+        if (entries.length === 0) {
+            existing?.remove();
+            return;
+        }
+
+        const section = this.uiComponents.createFastestRisingSection(entries, {
+            sortOrder: this.sectionSortOrders.get('fastest-rising'),
+            onSortChange: (sortBy) => {
+                this.sectionSortOrders.set('fastest-rising', sortBy);
+                window.LanguageSettings.saveSectionSortOrders(Object.fromEntries(this.sectionSortOrders));
+            },
+            watchRules: this.watchRules,
+            readingList: this.readingList,
+            stars: this.getStars(),
+            velocity: this.starVelocity
+        });
+        if (existing) {
+            // Keep the user's collapsed/expanded choice
+            section.querySelector('.grid').style.display = existing.querySelector('.grid').style.display;
+            section.querySelector('.navigation-controls').style.display = existing.querySelector('.navigation-controls').style.display;
+            container.replaceChild(section, existing);
+        } else {
+            // Below "Watch hits", above every other section
+            const watchHits = container.querySelector('[data-section="watch-hits"]');
+            if (watchHits) {
+                watchHits.after(section);
+            } else {
+                container.prepend(section);
+            }
+        }
+    }
+
+    // Display (or redisplay) the trending developers section after Overall Trending
+    async displayDevelopersSection(container, expanded = false) {
+        if (!container.querySelector('[data-section="developers"]')) {
+            this.insertDevelopersPlaceholder(container);
+        }
+        this.requestedSections.add('developers');
+
+        const language = this.developersSection.language;
+        const timeRange = this.sectionTimeRanges.get('developers') || 'daily';
+        const developers = await this.dataFetcher.fetchTrendingDevelopers(language, timeRange);
+
+        const section = this.uiComponents.createDevelopersSection(
+            language,
+            developers,
+            this.languages.slice(1),
+            () => this.displayDevelopersSection(container, true),
+            async (newLanguage) => {
+                this.developersSection.language = newLanguage;
+                await window.LanguageSettings.saveDevelopersSection(this.developersSection);
+                await this.displayDevelopersSection(container, true);
+            },
+            this.sectionTimeRanges
+        );
+
+        if (expanded) {
+            section.querySelector('.grid').style.display = 'grid';
+            section.querySelector('.navigation-controls').style.display = 'flex';
+        }
+
+        const current = container.querySelector('[data-section="developers"]');
+        if (current) {
+            container.replaceChild(section, current);
+        }
+    }
+
+    // Add the developers placeholder after Overall Trending
+    insertDevelopersPlaceholder(container) {
+        const placeholder = this.uiComponents.createLoadingSection('Developers', { compact: true });
+        delete placeholder.dataset.language;
+        placeholder.dataset.section = 'developers';
+        const overallSection = container.querySelector('[data-language="all"]');
+        if (overallSection) {
+            overallSection.after(placeholder);
+        } else {
+            container.prepend(placeholder);
+        }
+        return placeholder;
+    }
+
+    // Add the developers section like a language section: fetched right away when cached, otherwise once it nears the viewport
+    addLazyDevelopersSection(container) {
+        const placeholder = this.insertDevelopersPlaceholder(container);
+        const timeRange = this.sectionTimeRanges.get('developers') || 'daily';
+        if (this.cache.getValid(this.developersSection.language, timeRange, null, { kind: 'developers' })) {
+            this.displayDevelopersSection(container);
+        } else {
+            this.sectionObserver.observe(placeholder);
+        }
+    }
+
+    // Merge results of several languages, dropping duplicates and muted repositories and ranking by period stars
+    mergeRankedFeed(results) {
+        const merged = new Map();
+
+        results.forEach(({ language, repos }) => {
+            repos.forEach(repo => {
+                if (this.muteList.matchRepo(repo)) return;
+                if (!merged.has(repo.full_name)) {
+                    merged.set(repo.full_name, { repo, sources: [] });
                 }
+                merged.get(repo.full_name).sources.push(language);
             });
+        });
+
+        return Array.from(merged.values())
+            .sort((a, b) => (b.repo.period_stars || 0) - (a.repo.period_stars || 0));
+    }
 
-            // Wait for new languages to load
-            await Promise.all(newLanguagePromises);
+    // Display (or redisplay) the combined "All selected" feed after Overall Trending
+    async displayCombinedFeed(container, expanded = false) {
+        const existing = container.querySelector('[data-section="combined"]');
+        if (!this.showCombinedFeed) {
+            existing?.remove();
+            return;
+        }
+
+        if (!existing) {
+            const placeholder = this.uiComponents.createLoadingSection('All selected');
+            delete placeholder.dataset.language;
+            placeholder.dataset.section = 'combined';
+            const overallSection = container.querySelector('[data-language="all"]');
+            if (overallSection) {
+                overallSection.after(placeholder);
+            } else {
+                container.prepend(placeholder);
+            }
+        }
+
+        // Collapsed, the feed only merges what's cached; expanding it fetches every selected language
+        const timeRange = this.sectionTimeRanges.get('combined') || 'daily';
+        const languages = expanded ? this.languages.slice(1) : this.languages.slice(1).filter(language =>
+            this.cache.getStale(language, timeRange, this.getFetchOptions(language)));
+        const results = await Promise.all(languages.map(async (language) => ({
+            language,
+            repos: expanded ?
+                await this.dataFetcher.fetchWithCache(language, timeRange, null, this.getFetchOptions(language)) :
+                this.cache.getStale(language, timeRange, this.getFetchOptions(language)).data
+        })));
+
+        const section = this.uiComponents.createCombinedFeedSection(
+            this.mergeRankedFeed(results),
+            languages,
+            () => this.displayCombinedFeed(container, true),
+            this.sectionTimeRanges,
+            {
+                onExpand: expanded ? null : () => this.displayCombinedFeed(container, true),
+                watchRules: this.watchRules,
+                readingList: this.readingList,
+                stars: this.getStars(),
+                velocity: this.starVelocity
+            }
+        );
+
+        if (expanded) {
+            section.querySelector('.combined-feed-body').style.display = 'block';
+            section.querySelector('.navigation-controls').style.display = 'flex';
+        }
+
+        const current = container.querySelector('[data-section="combined"]');
+        if (current) {
+            container.replaceChild(section, current);
         }
     }
 
+    // Efficiently update language sections without full reload
+    async updateLanguageSections(newLanguages, removedLanguages) {
+        const container = document.getElementById('trending-container');
+        
+        // Remove sections for languages that are no longer selected
+        removedLanguages.forEach(lang => {
+            const key = lang || 'all';
+            this.dataFetcher.cancelSection(key);
+            this.requestedSections.delete(key);
+            this.openedSections.delete(key);
+            const section = container.querySelector(`[data-language="${key}"]`);
+            if (section) {
+                this.sectionObserver.unobserve(section);
+                section.remove();
+            }
+        });
+        
+        // Add placeholders for new languages; they load as they come into view
+        newLanguages.forEach(lang => {
+            const key = lang || 'all';
+            if (!this.sectionTimeRanges.has(key)) {
+                this.sectionTimeRanges.set(key, this.getDefaultTimeRange(lang));
+            }
+            this.addLazySection(lang, container);
+        });
+    }
+
     // Helper function to process individual language results
     processLanguageResult(result, container) {
         const lang = result.language;
@@ -124,16 +838,35 @@ class TrendingApp {
         const createUpdateFunction = (language) => {
             return async (newTimeRange) => {
                 try {
-                    const newRepos = await this.dataFetcher.fetchWithCache(language, newTimeRange);
+                    const fetchOptions = this.getFetchOptions(language);
+                    let newRepos = await this.dataFetcher.fetchWithCache(
+                        language,
+                        newTimeRange,
+                        freshRepos => this.applyRevalidatedRepos(language, newTimeRange, freshRepos, container, fetchOptions),
+                        fetchOptions
+                    );
+
+                    // Fall back to the last successful result when the fetch failed
+                    let staleSince = null;
+                    if (newRepos.length === 0) {
+                        const lastKnown = this.getLastKnown(language, newTimeRange);
+                        if (!lastKnown) {
+                            throw new Error('No repositories found');
+                        }
+                        newRepos = lastKnown.data;
+                        staleSince = lastKnown.timestamp;
+                    }
                     
                     const oldSection = container.querySelector(`[data-language="${language || 'all'}"]`);
                     const newSection = this.uiComponents.createLanguageSection(
                         language, 
                         newRepos, 
                         createUpdateFunction(language),
-                        this.sectionTimeRanges
+                        this.sectionTimeRanges,
+                        sectionOptions(language, newTimeRange, staleSince)
                     );
                     newSection.dataset.language = language || 'all';
+                    this.visitTracker.recordShown(this.visitTracker.generateKey(language, newTimeRange), newRepos);
                     
                     // Ensure the grid and navigation are visible in the new section
                     const grid = newSection.querySelector('.grid');
@@ -160,6 +893,37 @@ class TrendingApp {
             };
         };
         
+        // Helper function for per-section options
+        const sectionOptions = (language, timeRange, staleSince = null) => ({
+            staleSince,
+            watchRules: this.watchRules,
+            readingList: this.readingList,
+            stars: this.getStars(),
+            velocity: this.starVelocity,
+            isNew: repo => this.visitTracker.isNew(this.visitTracker.generateKey(language, timeRange), repo.full_name),
+            // Without a baseline nothing counts as seen, so every repository stays visible
+            hideSeen: this.hideSeen && this.visitTracker.hasBaseline(this.visitTracker.generateKey(language, timeRange)),
+            onExpand: () => this.markSectionOpened(language),
+            mute: {
+                muteList: this.muteList,
+                onChange: () => this.rerenderSections()
+            },
+            sectionSortOrders: this.sectionSortOrders,
+            onSortChange: () => window.LanguageSettings.saveSectionSortOrders(Object.fromEntries(this.sectionSortOrders)),
+            exportMenu: this.uiComponents.createExportMenu(
+                this.exporter.formats,
+                (format, action) => this.exportSections([language], format, action)
+            ),
+            spokenLanguage: {
+                override: this.spokenLanguageOverrides[language || 'all'],
+                defaultCode: this.spokenLanguage,
+                onChange: async (override) => {
+                    await this.setSpokenLanguageOverride(language, override);
+                    await createUpdateFunction(language)(this.sectionTimeRanges.get(language || 'all') || 'daily');
+                }
+            }
+        });
+        
         // Helper function for single language retry
         const retrySingleLanguage = async (language) => {
             // Show loading state
@@ -169,50 +933,43 @@ class TrendingApp {
                 container.replaceChild(loadingSection, oldSection);
             }
             
-            // Fetch data for this language
-            try {
-                const repos = await this.dataFetcher.fetchTrendingRepos(language, 'daily');
-                if (repos.length > 0) {
-                    const section = this.uiComponents.createLanguageSection(
-                        language, 
-                        repos, 
-                        createUpdateFunction(language),
-                        this.sectionTimeRanges
-                    );
-                    section.dataset.language = language || 'all';
-                    const currentSection = container.querySelector(`[data-language="${language || 'all'}"]`);
-                    if (currentSection) {
-                        container.replaceChild(section, currentSection);
-                    }
-                } else {
-                    throw new Error('No repositories found');
-                }
-            } catch (error) {
-                const errorSection = this.uiComponents.createErrorSection(
-                    language, 
-                    error, 
-                    () => retrySingleLanguage(language)
-                );
-                errorSection.dataset.language = language || 'all';
-                const currentSection = container.querySelector(`[data-language="${language || 'all'}"]`);
-                if (currentSection) {
-                    container.replaceChild(errorSection, currentSection);
-                }
-            }
+            // Fetch data for this language in its current time range; failures fall back to the last known result
+            const timeRange = this.sectionTimeRanges.get(language || 'all') || this.getDefaultTimeRange(language);
+            const repos = await this.dataFetcher.fetchTrendingRepos(language, timeRange, this.getFetchOptions(language));
+            this.processLanguageResult({
+                language,
+                timeRange,
+                repos,
+                success: repos.length > 0
+            }, container);
         };
+
+        // Show the last successful result, marked stale, when this fetch failed
+        let repos = result.success ? result.repos : null;
+        let staleSince = null;
+        if (!repos || repos.length === 0) {
+            const lastKnown = this.getLastKnown(lang, result.timeRange);
+            if (lastKnown) {
+                repos = lastKnown.data;
+                staleSince = lastKnown.timestamp;
+            }
+        }
         
-        if (result.success && result.repos && result.repos.length > 0) {
+        if (repos && repos.length > 0) {
             // Create successful section with data
             const section = this.uiComponents.createLanguageSection(
                 lang, 
-                result.repos, 
+                repos, 
                 createUpdateFunction(lang),
-                this.sectionTimeRanges
+                this.sectionTimeRanges,
+                sectionOptions(lang, result.timeRange, staleSince)
             );
             section.dataset.language = lang || 'all';
+            this.visitTracker.recordShown(this.visitTracker.generateKey(lang, result.timeRange), repos);
             const oldSection = container.querySelector(`[data-language="${lang || 'all'}"]`);
             if (oldSection) {
                 container.replaceChild(section, oldSection);
+                this.revealSectionIfPending(section);
             }
         } else {
             // Show error section for failed or empty results
@@ -223,37 +980,186 @@ class TrendingApp {
                 () => retrySingleLanguage(lang)
             );
             errorSection.dataset.language = lang || 'all';
+            errorSection.dataset.failed = 'true';
             const oldSection = container.querySelector(`[data-language="${lang || 'all'}"]`);
             if (oldSection) {
                 container.replaceChild(errorSection, oldSection);
+                this.revealSectionIfPending(errorSection);
             }
         }
+
+        this.scheduleWatchHitsUpdate();
+        this.scheduleFastestRisingUpdate();
+        this.scheduleCombinedFeedUpdate();
     }
 
-    // Background preloading function
-    async preloadWeeklyMonthlyData() {
-        console.log('Starting background preload of weekly and monthly data...');
-        
-        // Generate requests for weekly and monthly data for all languages
-        const preloadRequests = [];
-        this.languages.forEach(lang => {
-            preloadRequests.push(
-                { language: lang, timeRange: 'weekly' },
-                { language: lang, timeRange: 'monthly' }
-            );
+    // Debounce rebuilding the collapsed "All selected" feed from cached data as sections load
+    scheduleCombinedFeedUpdate() {
+        clearTimeout(this.combinedFeedTimer);
+        this.combinedFeedTimer = setTimeout(() => {
+            const container = document.getElementById('trending-container');
+            const combinedBody = container.querySelector('[data-section="combined"] .combined-feed-body');
+            // Expanded, the feed already holds every selected language
+            if (combinedBody && combinedBody.style.display === 'none') {
+                this.displayCombinedFeed(container);
+            }
+        }, 300);
+    }
+
+    // Expand and scroll to a section requested through the URL (e.g. from a notification)
+    revealSectionIfPending(section) {
+        if (!this.pendingRevealSection || section.dataset.language !== this.pendingRevealSection) {
+            return;
+        }
+        this.pendingRevealSection = null;
+        const lang = this.languages.find(language => (language || 'all') === section.dataset.language);
+        if (lang !== undefined) {
+            this.markSectionOpened(lang);
+        }
+
+        const grid = section.querySelector('.grid');
+        const nav = section.querySelector('.navigation-controls');
+        if (grid) grid.style.display = 'grid';
+        if (nav) nav.style.display = 'flex';
+        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    // Replace a section with data from a background revalidation, keeping it expanded if it was
+    // repos is null when the revalidation failed, which marks the section stale
+    applyRevalidatedRepos(language, timeRange, repos, container, fetchOptions = {}) {
+        const key = language || 'all';
+        // The user may have switched this section to another time range or spoken language in the meantime
+        if ((this.sectionTimeRanges.get(key) || 'daily') !== timeRange ||
+            (this.getSpokenLanguage(language) || '') !== (fetchOptions.spokenLanguage || '')) {
+            return;
+        }
+
+        const oldSection = container.querySelector(`[data-language="${key}"]`);
+        if (!oldSection) {
+            return;
+        }
+        const oldGrid = oldSection.querySelector('.grid');
+        const wasExpanded = oldGrid && oldGrid.style.display !== 'none';
+
+        this.processLanguageResult({
+            language,
+            timeRange,
+            repos,
+            success: Boolean(repos)
+        }, container);
+
+        if (wasExpanded) {
+            const newSection = container.querySelector(`[data-language="${key}"]`);
+            const grid = newSection.querySelector('.grid');
+            const nav = newSection.querySelector('.navigation-controls');
+            if (grid) grid.style.display = 'grid';
+            if (nav) nav.style.display = 'flex';
+        }
+    }
+
+    // Add a placeholder for a language section and fetch it when it's needed:
+    // right away when its daily data is cached or it was requested through the URL, otherwise once it nears the viewport
+    addLazySection(lang, container) {
+        const key = lang || 'all';
+        const section = this.uiComponents.createLoadingSection(lang, { compact: true });
+        container.appendChild(section);
+
+        const timeRange = this.sectionTimeRanges.get(key) || 'daily';
+        if (this.cache.getValid(lang, timeRange, null, this.getFetchOptions(lang)) || key === this.pendingRevealSection) {
+            this.loadSection(lang, container);
+        } else {
+            this.sectionObserver.observe(section);
+        }
+    }
+
+    // Load placeholder sections that scrolled near the viewport
+    handleSectionVisibility(entries) {
+        const container = document.getElementById('trending-container');
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            this.sectionObserver.unobserve(entry.target);
+
+            if (entry.target.dataset.section === 'developers') {
+                this.displayDevelopersSection(container);
+                return;
+            }
+            const lang = this.languages.find(language => (language || 'all') === entry.target.dataset.language);
+            if (lang !== undefined) {
+                this.loadSection(lang, container);
+            }
         });
-        
+    }
+
+    // Fetch a section's data in its time range (once) and render it in place of its placeholder
+    async loadSection(lang, container) {
+        const key = lang || 'all';
+        if (this.requestedSections.has(key)) return;
+        this.requestedSections.add(key);
+
+        const timeRange = this.sectionTimeRanges.get(key) || 'daily';
+        let result;
         try {
-            const results = await this.dataFetcher.fetchMultipleConcurrent(preloadRequests, 5);
-            
-            // Store successful results in cache (already done by dataFetcher)
-            results.forEach(result => {
-                if (result.success && result.repos && result.repos.length > 0) {
-                    console.log(`Preloaded ${result.language || 'overall'} ${result.timeRange} data: ${result.repos.length} repos`);
+            const fetchOptions = this.getFetchOptions(lang);
+            const repos = await this.dataFetcher.fetchWithCache(
+                lang,
+                timeRange,
+                freshRepos => this.applyRevalidatedRepos(lang, timeRange, freshRepos, container, fetchOptions),
+                fetchOptions
+            );
+            result = {
+                language: lang,
+                timeRange,
+                repos,
+                success: repos.length > 0
+            };
+        } catch (error) {
+            result = {
+                language: lang,
+                timeRange,
+                error,
+                success: false
+            };
+        }
+
+        // The section may have been removed while loading
+        if (!this.requestedSections.has(key)) return;
+        this.processLanguageResult(result, container);
+
+        // Overall Trending starts expanded
+        if (!lang) {
+            this.markSectionOpened(lang);
+        }
+    }
+
+    // Remember that a section was opened and preload its other time ranges
+    markSectionOpened(lang) {
+        const key = lang || 'all';
+        if (this.openedSections.has(key)) return;
+        this.openedSections.add(key);
+        setTimeout(() => this.preloadWeeklyMonthlyData([lang]), 1000);
+    }
+
+    // Background preloading function; only opened sections are preloaded
+    async preloadWeeklyMonthlyData(languages) {
+        // Generate requests for weekly and monthly data
+        const preloadRequests = [];
+        languages.forEach(lang => {
+            const fetchOptions = this.getFetchOptions(lang);
+            ['weekly', 'monthly'].forEach(timeRange => {
+                // Skip anything still fresh in the persisted cache
+                if (!this.cache.getValid(lang, timeRange, null, fetchOptions)) {
+                    preloadRequests.push({ language: lang, timeRange, ...fetchOptions });
                 }
             });
-            
-            console.log('Background preload completed');
+        });
+        
+        try {
+            // Successful results are cached by the data fetcher
+            await this.dataFetcher.fetchMultipleConcurrent(preloadRequests);
+
+            // Preloaded time ranges can add watch hits and rising repositories
+            this.scheduleWatchHitsUpdate();
+            this.scheduleFastestRisingUpdate();
         } catch (error) {
             console.error('Error during background preload:', error);
         }
@@ -263,67 +1169,26 @@ class TrendingApp {
     async displayTrendingRepos() {
         const container = document.getElementById('trending-container');
         container.innerHTML = ''; // Clear existing content
+        this.sectionObserver.disconnect();
+        this.requestedSections.clear();
+        this.openedSections.clear();
 
         try {
-            // Initialize time ranges and create placeholder sections
+            // Initialize time ranges and create placeholder sections, fetched as they come into view
             this.languages.forEach(lang => {
                 const key = lang || 'all';
                 if (!this.sectionTimeRanges.has(key)) {
-                    this.sectionTimeRanges.set(key, 'daily');
+                    this.sectionTimeRanges.set(key, this.getDefaultTimeRange(lang));
                 }
-
-                const section = this.uiComponents.createLoadingSection(lang);
-                container.appendChild(section);
+                this.addLazySection(lang, container);
             });
 
-            // Track completed loads for background preloading
-            let completedLoads = 0;
-            const totalLanguages = this.languages.length;
-
-            // Fetch all daily data with concurrency limit and process individually
-            const fetchPromises = this.languages.map(async (lang) => {
-                try {
-                    const repos = await this.dataFetcher.fetchTrendingRepos(lang, 'daily');
-                    const result = {
-                        language: lang,
-                        timeRange: 'daily',
-                        repos,
-                        success: repos.length > 0
-                    };
-                    
-                    // Process result immediately when this language completes
-                    this.processLanguageResult(result, container);
-                    
-                    // Track completion for background preloading
-                    completedLoads++;
-                    if (completedLoads === totalLanguages) {
-                        setTimeout(() => this.preloadWeeklyMonthlyData(), 1000);
-                    }
-                    
-                    return result;
-                } catch (error) {
-                    const result = {
-                        language: lang,
-                        timeRange: 'daily',
-                        error,
-                        success: false
-                    };
-                    
-                    // Process error result immediately
-                    this.processLanguageResult(result, container);
-                    
-                    // Track completion for background preloading
-                    completedLoads++;
-                    if (completedLoads === totalLanguages) {
-                        setTimeout(() => this.preloadWeeklyMonthlyData(), 1000);
-                    }
-                    
-                    return result;
-                }
-            });
+            if (this.developersSection.enabled) {
+                this.addLazyDevelopersSection(container);
+            }
 
-            // Wait for all to complete (for cleanup purposes)
-            await Promise.all(fetchPromises);
+            // Every daily result already cached renders now; the combined feed fetches once it's expanded
+            await this.displayCombinedFeed(container);
 
         } catch (error) {
             console.error('Error fetching trending repositories:', error);
@@ -332,10 +1197,23 @@ class TrendingApp {
 
     // Initialize everything
     async initialize() {
-        // Load settings first
-        await this.loadLanguageSettings();
+        // Load settings and persisted cache first
+        await Promise.all([
+            this.loadLanguageSettings(),
+            this.watchRules.load(),
+            this.muteList.load(),
+            this.readingList.load(),
+            this.visitTracker.load(),
+            this.cache.load(),
+            this.starVelocity.load(),
+            this.languageCatalog.load(), // URL slugs for the language sections
+            window.LanguageSettings.loadLanguageColorOverrides()
+        ]);
+        this.renderedMuteRules = JSON.stringify(this.muteList.rules);
+        this.renderProfileSelect();
         
-        // Initial load
+        // Initial load; star toggles fill in once the starred list arrives
+        this.refreshStars();
         this.displayTrendingRepos();
     }
 }
@@ -1,5 +1,242 @@
+// Background Service Worker
+// Opens the trending page and refreshes selected languages on a schedule, notifying about new entries
+
+importScripts('language-settings.js', 'cache-manager.js', 'history-store.js', 'request-scheduler.js', 'trending-parser.js', 'data-fetcher.js', 'star-velocity.js', 'webhook-dispatcher.js');
+
+const REFRESH_ALARM = 'trending-refresh';
+const WEBHOOK_RETRY_ALARM = 'webhook-retry';
+const LAST_RESULTS_KEY = 'background_last_results';
+const NOTIFICATION_STATE_KEY = 'background_notification_state';
+const NOTIFICATION_PREFIX = 'trending|';
+
+const cache = new CacheManager();
+const historyStore = new HistoryStore();
+const starVelocity = new StarVelocity();
+const dataFetcher = new DataFetcher(cache, historyStore, null, starVelocity);
+const webhookDispatcher = new WebhookDispatcher();
+
+// The service worker has no DOMParser, so parsing is delegated to an offscreen document
+let offscreenPromise = null;
+
+async function ensureOffscreenDocument() {
+    if (await chrome.offscreen.hasDocument()) return;
+    if (!offscreenPromise) {
+        offscreenPromise = chrome.offscreen.createDocument({
+            url: 'offscreen.html',
+            reasons: ['DOM_PARSER'],
+            justification: 'Parse GitHub trending pages during scheduled refreshes'
+        }).finally(() => {
+            offscreenPromise = null;
+        });
+    }
+    await offscreenPromise;
+}
+
+dataFetcher.parseTrendingPage = async (html) => {
+    await ensureOffscreenDocument();
+    const result = await chrome.runtime.sendMessage({
+        target: 'offscreen',
+        type: 'parse-trending-html',
+        html
+    });
+    return result || { repos: [], diagnostics: dataFetcher.parser.createDiagnostics() };
+};
+
+// Promise wrappers for storage
+function readStorage(keys) {
+    return new Promise(resolve => chrome.storage.local.get(keys, resolve));
+}
+
+function writeStorage(items) {
+    return new Promise(resolve => chrome.storage.local.set(items, resolve));
+}
+
+// Create or clear the refresh alarm to match the settings
+async function scheduleRefresh() {
+    const settings = await loadBackgroundRefresh();
+    await chrome.alarms.clear(REFRESH_ALARM);
+    if (settings.enabled) {
+        chrome.alarms.create(REFRESH_ALARM, {
+            delayInMinutes: 1,
+            periodInMinutes: Math.max(15, settings.intervalMinutes)
+        });
+    }
+}
+
+// Get the display name of a section key
+function getSectionLabel(sectionKey) {
+    return sectionKey === 'all' ? 'Overall Trending' : sectionKey;
+}
+
+// Refresh every selected language and return repos that newly entered each section's top N
+async function refreshTrending(settings) {
+    await cache.load();
+    const languages = [null, ...await loadSelectedLanguages()];
+    const languageCatalog = await loadLanguageCatalog();
+    if (languageCatalog) {
+        dataFetcher.setLanguageSlugs(languageCatalog.languages);
+    }
+    const spokenLanguage = await loadSpokenLanguage();
+    const spokenLanguageOverrides = await loadSpokenLanguageOverrides();
+    const stored = await readStorage(LAST_RESULTS_KEY);
+    const lastResults = stored[LAST_RESULTS_KEY] || {};
+    const newEntries = [];
+
+    // One language at a time to stay gentle with GitHub
+    for (const language of languages) {
+        const sectionKey = language || 'all';
+        const sectionSpokenLanguage = sectionKey in spokenLanguageOverrides ?
+            spokenLanguageOverrides[sectionKey] : spokenLanguage;
+        const repos = await dataFetcher.fetchTrendingRepos(language, 'daily', {
+            spokenLanguage: sectionSpokenLanguage
+        });
+        if (repos.length === 0) continue;
+
+        const topRepos = repos.slice(0, settings.topN);
+        const previous = lastResults[sectionKey];
+
+        // The first result for a section (or after a spoken language change) is only a baseline
+        if (previous && previous.spokenLanguage === sectionSpokenLanguage) {
+            topRepos
+                .filter(repo => !previous.repos.includes(repo.full_name))
+                .forEach(repo => newEntries.push({
+                    sectionKey,
+                    repo,
+                    rank: repos.indexOf(repo) + 1
+                }));
+        }
+
+        lastResults[sectionKey] = {
+            spokenLanguage: sectionSpokenLanguage,
+            repos: topRepos.map(repo => repo.full_name)
+        };
+    }
+
+    await writeStorage({ [LAST_RESULTS_KEY]: lastResults });
+    await cache.persist();
+    return newEntries;
+}
+
+// Raise notifications for new entries within the user's limits
+async function notifyNewEntries(newEntries, settings) {
+    if (newEntries.length === 0) return;
+
+    const stored = await readStorage(NOTIFICATION_STATE_KEY);
+    const state = stored[NOTIFICATION_STATE_KEY] || { lastNotifiedAt: 0 };
+    const minInterval = settings.minMinutesBetweenNotifications * 60 * 1000;
+    // Skip this batch when the last one was too recent
+    if (Date.now() - state.lastNotifiedAt < minInterval) {
+        return;
+    }
+
+    newEntries.slice(0, settings.maxNotificationsPerRefresh).forEach(({ sectionKey, repo, rank }) => {
+        chrome.notifications.create(`${NOTIFICATION_PREFIX}${sectionKey}|${repo.full_name}`, {
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: `New in ${getSectionLabel(sectionKey)} trending`,
+            message: `${repo.full_name} entered at #${rank}${repo.period_stars ? ` (${repo.period_stars.toLocaleString()} stars today)` : ''}`,
+            contextMessage: repo.description || ''
+        });
+    });
+
+    await writeStorage({ [NOTIFICATION_STATE_KEY]: { lastNotifiedAt: Date.now() } });
+}
+
+// Wake up for the earliest queued webhook retry
+async function scheduleWebhookRetry() {
+    const nextRetryAt = await webhookDispatcher.getNextRetryAt();
+    await chrome.alarms.clear(WEBHOOK_RETRY_ALARM);
+    if (nextRetryAt) {
+        // Alarms fire no sooner than 30 seconds from now
+        chrome.alarms.create(WEBHOOK_RETRY_ALARM, { when: Math.max(nextRetryAt, Date.now() + 30 * 1000) });
+    }
+}
+
+// Refresh, notify about new entries (when background refresh is on) and deliver them to the webhook
+async function runRefresh() {
+    const settings = await loadBackgroundRefresh();
+    const newEntries = await refreshTrending(settings);
+    if (settings.enabled) {
+        await notifyNewEntries(newEntries, settings);
+    }
+    const delivery = await webhookDispatcher.deliver(newEntries, await loadWebhook());
+    await scheduleWebhookRetry();
+    return { newEntries: newEntries.length, delivery };
+}
+
 chrome.action.onClicked.addListener(() => {
-  chrome.tabs.create({
-    url: 'index.html'
-  });
+    chrome.tabs.create({
+        url: 'index.html'
+    });
+});
+
+chrome.runtime.onInstalled.addListener(scheduleRefresh);
+chrome.runtime.onStartup.addListener(scheduleRefresh);
+
+// Reschedule whenever the refresh settings change, and drop webhook retries that no longer apply
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (changes[SETTINGS_KEYS.BACKGROUND_REFRESH]) {
+        scheduleRefresh();
+    }
+    if (changes[SETTINGS_KEYS.WEBHOOK]) {
+        await webhookDispatcher.dropStaleRetries(await loadWebhook());
+        await scheduleWebhookRetry();
+    }
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name === WEBHOOK_RETRY_ALARM) {
+        await webhookDispatcher.processQueue(await loadWebhook());
+        await scheduleWebhookRetry();
+        return;
+    }
+    if (alarm.name !== REFRESH_ALARM) return;
+
+    try {
+        const settings = await loadBackgroundRefresh();
+        if (!settings.enabled) return;
+        await runRefresh();
+    } catch (error) {
+        console.error('Error during scheduled refresh:', error);
+    }
+});
+
+// Manual refreshes and webhook tests from the settings modal
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.target !== 'background') {
+        return false;
+    }
+
+    const handlers = {
+        'refresh-now': () => runRefresh(),
+        'webhook-test': () => webhookDispatcher.deliver(webhookDispatcher.getTestEntries(), message.settings, 'test'),
+        'webhook-retry-now': async () => webhookDispatcher.processQueue(await loadWebhook(), true)
+    };
+    const handler = handlers[message.type];
+    if (!handler) {
+        return false;
+    }
+
+    handler()
+        .then(async (result) => {
+            await scheduleWebhookRetry();
+            sendResponse({ ok: true, result });
+        })
+        .catch(error => {
+            console.error(`Error handling ${message.type}:`, error);
+            sendResponse({ ok: false, error: error.message });
+        });
+    return true; // Responds asynchronously
+});
+
+// Open the trending page scrolled to the notification's section
+chrome.notifications.onClicked.addListener((notificationId) => {
+    if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+
+    const [sectionKey] = notificationId.substring(NOTIFICATION_PREFIX.length).split('|');
+    chrome.tabs.create({
+        url: `index.html#section=${encodeURIComponent(sectionKey)}`
+    });
+    chrome.notifications.clear(notificationId);
 });
@@ -1,31 +1,127 @@
 // Cache Manager Module
-// Handles memory caching for trending repository data
+// Handles memory caching for trending repository data, persisted to chrome.storage.local
 
 class CacheManager {
-    constructor() {
+    constructor(options = {}) {
         this.cache = new Map();
+        this.sizes = new Map(); // Key -> serialized size of the entry, measured when it's stored
+        this.totalBytes = 0;
         this.defaultTTL = 10 * 60 * 1000; // 10 minutes
+        this.storageKey = options.storageKey || 'trending_cache';
+        this.maxEntries = options.maxEntries || 120;
+        this.maxBytes = options.maxBytes || 4 * 1024 * 1024; // 4 MB, well under the storage quota
+        this.maxAge = options.maxAge || 7 * 24 * 60 * 60 * 1000; // Stale data older than a week is dropped
+        this.persistDelay = 500;
+        this.storage = (typeof chrome !== 'undefined' && chrome.storage) ? chrome.storage.local : null;
+        this.loadPromise = null;
+        this.persistTimer = null;
     }
 
-    // Generate cache key
-    generateKey(language, timeRange) {
-        return `${language || 'all'}-${timeRange}`;
+    // Generate cache key; options.kind separates developer lists from repository lists
+    // and options.spokenLanguage separates lists filtered by spoken language
+    generateKey(language, timeRange, options = {}) {
+        const prefix = options.kind === 'developers' ? 'developers-' : '';
+        const suffix = options.spokenLanguage ? `-${options.spokenLanguage}` : '';
+        return `${prefix}${language || 'all'}-${timeRange}${suffix}`;
+    }
+
+    // Load persisted entries into memory (only runs once)
+    load() {
+        if (this.loadPromise) return this.loadPromise;
+
+        this.loadPromise = new Promise(resolve => {
+            if (!this.storage) {
+                resolve();
+                return;
+            }
+
+            this.storage.get(this.storageKey, result => {
+                const stored = result[this.storageKey] || {};
+                Object.entries(stored).forEach(([key, entry]) => {
+                    // Entries set during this session win over persisted ones
+                    if (!this.cache.has(key) && entry && Array.isArray(entry.data)) {
+                        this.store(key, entry);
+                    }
+                });
+                this.evict();
+                resolve();
+            });
+        });
+
+        return this.loadPromise;
+    }
+
+    // Schedule a write of the whole cache to storage
+    schedulePersist() {
+        if (!this.storage) return;
+        clearTimeout(this.persistTimer);
+        this.persistTimer = setTimeout(() => this.persist(), this.persistDelay);
+    }
+
+    // Write the whole cache to storage, merging newer entries written by other
+    // extension contexts (e.g. the background refresh) since we loaded
+    persist() {
+        if (!this.storage) return Promise.resolve();
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+
+        return new Promise(resolve => {
+            this.storage.get(this.storageKey, result => {
+                const stored = result[this.storageKey] || {};
+                Object.entries(stored).forEach(([key, entry]) => {
+                    const current = this.cache.get(key);
+                    if (entry && Array.isArray(entry.data) && (!current || entry.timestamp > current.timestamp)) {
+                        this.store(key, entry);
+                    }
+                });
+                this.evict();
+
+                this.storage.set({
+                    [this.storageKey]: Object.fromEntries(this.cache)
+                }, resolve);
+            });
+        });
+    }
+
+    // Put an entry in memory, keeping the running size total
+    store(key, entry) {
+        this.remove(key);
+        const size = JSON.stringify(entry).length;
+        this.cache.set(key, entry);
+        this.sizes.set(key, size);
+        this.totalBytes += size;
+    }
+
+    // Take an entry out of memory, keeping the running size total
+    remove(key) {
+        if (!this.cache.has(key)) return;
+        this.totalBytes -= this.sizes.get(key) || 0;
+        this.cache.delete(key);
+        this.sizes.delete(key);
     }
 
     // Get cached data
-    get(language, timeRange) {
-        const key = this.generateKey(language, timeRange);
-        return this.cache.get(key);
+    get(language, timeRange, options = {}) {
+        const key = this.generateKey(language, timeRange, options);
+        const entry = this.cache.get(key);
+        if (entry) {
+            entry.lastAccess = Date.now();
+        }
+        return entry;
     }
 
     // Set cached data with timestamp
-    set(language, timeRange, data, ttl = this.defaultTTL) {
-        const key = this.generateKey(language, timeRange);
-        this.cache.set(key, {
+    set(language, timeRange, data, ttl = this.defaultTTL, options = {}) {
+        const key = this.generateKey(language, timeRange, options);
+        const now = Date.now();
+        this.store(key, {
             data,
-            timestamp: Date.now(),
+            timestamp: now,
+            lastAccess: now,
             ttl
         });
+        this.evict();
+        this.schedulePersist();
     }
 
     // Check if cached data is valid
@@ -36,23 +132,57 @@ class CacheManager {
     }
 
     // Get valid cached data or return null
-    getValid(language, timeRange, customTTL = null) {
-        const cacheEntry = this.get(language, timeRange);
+    getValid(language, timeRange, customTTL = null, options = {}) {
+        const cacheEntry = this.get(language, timeRange, options);
         return this.isValid(cacheEntry, customTTL) ? cacheEntry.data : null;
     }
 
+    // Get cached data regardless of TTL, flagged as stale when expired
+    getStale(language, timeRange, options = {}) {
+        const cacheEntry = this.get(language, timeRange, options);
+        if (!cacheEntry) return null;
+        return {
+            data: cacheEntry.data,
+            timestamp: cacheEntry.timestamp,
+            isStale: !this.isValid(cacheEntry)
+        };
+    }
+
+    // Drop too-old entries, then least recently used ones until within limits
+    // Sizes are tracked as entries are stored, so nothing is serialized here
+    evict() {
+        const now = Date.now();
+        for (const [key, entry] of this.cache.entries()) {
+            if (now - entry.timestamp > this.maxAge) {
+                this.remove(key);
+            }
+        }
+
+        if (this.cache.size <= this.maxEntries && this.totalBytes <= this.maxBytes) return;
+
+        const byLastAccess = Array.from(this.cache.entries())
+            .sort(([, a], [, b]) => (a.lastAccess || a.timestamp) - (b.lastAccess || b.timestamp));
+        while (byLastAccess.length > 0 && (this.cache.size > this.maxEntries || this.totalBytes > this.maxBytes)) {
+            this.remove(byLastAccess.shift()[0]);
+        }
+    }
+
     // Clear all cache
     clear() {
         this.cache.clear();
+        this.sizes.clear();
+        this.totalBytes = 0;
+        this.schedulePersist();
     }
 
     // Clear expired entries
     clearExpired() {
         for (const [key, entry] of this.cache.entries()) {
             if (!this.isValid(entry)) {
-                this.cache.delete(key);
+                this.remove(key);
             }
         }
+        this.schedulePersist();
     }
 
     // Get cache statistics
@@ -69,11 +199,11 @@ class CacheManager {
             }
         }
 
-        return { total, valid, expired };
+        return { total, valid, expired, bytes: this.totalBytes };
     }
 }
 
 // Export for global use
 if (typeof window !== 'undefined') {
     window.CacheManager = CacheManager;
-}
\ No newline at end of file
+}
@@ -2,122 +2,130 @@
 // Handles GitHub trending data fetching with concurrency control and caching
 
 class DataFetcher {
-    constructor(cacheManager) {
+    constructor(cacheManager, historyStore = null, scheduler = null, starVelocity = null) {
         this.cache = cacheManager;
+        this.history = historyStore;
+        this.starVelocity = starVelocity; // Samples star counts of every fresh result
+        this.scheduler = scheduler || new RequestScheduler();
         this.defaultTimeout = 5000; // 5 seconds
+        this.revalidating = new Map();
+        this.parser = new TrendingParser();
+        this.lastDiagnostics = null;
+        this.onDiagnostics = null;
+        this.languageSlugs = {}; // Display name -> URL slug, from GitHub's language filter
+    }
+
+    // Parse GitHub trending HTML into repositories and a diagnostics report (see TrendingParser)
+    parseTrendingPage(html) {
+        return this.parser.parse(html);
     }
 
     // Parse GitHub trending HTML
     parseTrendingHTML(html) {
+        return this.parseTrendingPage(html).repos;
+    }
+
+    // Set callback for parser diagnostics, called after every fetched page is parsed
+    setDiagnosticsCallback(callback) {
+        this.onDiagnostics = callback;
+    }
+
+    // Keep the latest report and hand it to the callback
+    reportDiagnostics(diagnostics, language, timeRange) {
+        diagnostics.language = language;
+        diagnostics.timeRange = timeRange;
+        this.lastDiagnostics = diagnostics;
+
+        if (diagnostics.outdated) {
+            console.warn(`Trending parser v${diagnostics.parserVersion} may be outdated (${language || 'all'}, ${timeRange}):`, diagnostics.warnings);
+        }
+        if (this.onDiagnostics) {
+            this.onDiagnostics(diagnostics);
+        }
+    }
+
+    // Parse GitHub trending developers HTML
+    parseTrendingDevelopersHTML(html) {
         const parser = new DOMParser();
         const doc = parser.parseFromString(html, 'text/html');
         const articles = doc.querySelectorAll('article.Box-row');
 
-        return Array.from(articles).map(article => {
-            const titleElement = article.querySelector('h2.h3 a');
-            const [owner, repo] = titleElement.textContent.trim().split('/');
-            const description = article.querySelector('p.col-9')?.textContent.trim() || '';
-            const starsText = article.querySelector('a[href$="/stargazers"]')?.textContent.trim() || '0';
-            const stars = parseInt(starsText.replace(/,/g, '')) || 0;
-
-            // Extract language information
-            const languageElement = article.querySelector('span[itemprop="programmingLanguage"]');
-            const language = languageElement?.textContent.trim() || '';
-
-            // Extract fork count
-            const forksElement = article.querySelector('a[href$="/forks"]');
-            const forksText = forksElement?.textContent.trim() || '0';
-            const forks = parseInt(forksText.replace(/,/g, '')) || 0;
-
-            // Extract period stars (e.g., "123 stars today")
-            // Try multiple selectors for period stars as GitHub's structure may vary
-            let periodStarsElement = article.querySelector('span.d-inline-block.float-sm-right');
-            if (!periodStarsElement) {
-                periodStarsElement = article.querySelector('span.float-sm-right');
-            }
-            if (!periodStarsElement) {
-                // Try more general selectors
-                periodStarsElement = article.querySelector('span[class*="float"]');
-            }
-            if (!periodStarsElement) {
-                // Find by text content as fallback
-                periodStarsElement = Array.from(article.querySelectorAll('span')).find(span => {
-                    const text = span.textContent.toLowerCase();
-                    return text.includes('stars today') || 
-                           text.includes('stars this week') || 
-                           text.includes('stars this month') ||
-                           text.includes('star today') ||
-                           text.includes('star this week') ||
-                           text.includes('star this month');
-                });
-            }
-            
-            const periodStarsText = periodStarsElement?.textContent.trim() || '';
-            const periodStarsMatch = periodStarsText.match(/(\d+(?:,\d+)*)\s+stars?\s+(today|this week|this month)/i);
-            const periodStars = periodStarsMatch ? parseInt(periodStarsMatch[1].replace(/,/g, '')) : 0;
-            const periodRange = periodStarsMatch ? periodStarsMatch[2] : '';
-            
-            // Enhanced debug logging for period stars
-            if (periodStarsText) {
-                console.log(`Found period stars element with text: "${periodStarsText}"`);
-                console.log(`Parsed period stars: ${periodStars}, range: ${periodRange}`);
-            } else {
-                // Debug: log available spans to help identify the correct selector
-                const allSpans = Array.from(article.querySelectorAll('span')).map(s => s.textContent.trim()).filter(t => t);
-                console.log(`No period stars found for ${owner}/${repo}. Available spans:`, allSpans.slice(0, 10));
-            }
+        return Array.from(articles).map((article, index) => {
+            const nameElement = article.querySelector('h1.h3 a');
+            const usernameElement = article.querySelector('p.f4 a') || nameElement;
+            if (!usernameElement) return null;
 
-            // Extract repository avatar/icon
-            const avatarElement = article.querySelector('img[src*="avatars"]');
-            const avatar = avatarElement ? avatarElement.src : `https://github.com/${owner.trim()}.png?size=40`;
+            const username = usernameElement.getAttribute('href').replace(/^\//, '');
+            const name = nameElement?.textContent.trim() || username;
 
-            // Extract developers/contributors (Built by section)
-            const developers = [];
-            const builtBySection = Array.from(article.querySelectorAll('span')).find(span => 
-                span.textContent.trim().includes('Built by'));
-            
-            if (builtBySection) {
-                const container = builtBySection.parentElement || builtBySection;
-                const developerLinks = container.querySelectorAll('a[href^="/"]');
-                
-                for (let i = 0; i < Math.min(5, developerLinks.length); i++) {
-                    const link = developerLinks[i];
-                    const avatar = link.querySelector('img');
-                    if (avatar && link.getAttribute('href').startsWith('/')) {
-                        developers.push({
-                            username: link.getAttribute('href').substring(1),
-                            avatar_url: avatar.src,
-                            profile_url: `https://github.com${link.getAttribute('href')}`
-                        });
-                    }
-                }
-            }
+            const avatarElement = article.querySelector('img.avatar-user') || article.querySelector('img[src*="avatars"]');
+            const avatar = avatarElement ? avatarElement.getAttribute('src') : `https://github.com/${username}.png?size=96`;
+
+            // Extract the popular repository, rendered as a nested article
+            const repoArticle = article.querySelector('article');
+            const repoLink = repoArticle?.querySelector('h1 a');
+            const popularRepo = repoLink ? {
+                name: repoLink.textContent.trim(),
+                html_url: `https://github.com${repoLink.getAttribute('href')}`,
+                description: repoArticle.querySelector('div.f6')?.textContent.trim() || ''
+            } : null;
 
             return {
-                full_name: `${owner.trim()}/${repo.trim()}`,
-                description,
-                stargazers_count: stars,
-                html_url: `https://github.com${titleElement.getAttribute('href')}`,
-                language,
-                forks_count: forks,
-                period_stars: periodStars,
-                period_range: periodRange,
+                rank: index + 1,
+                username,
+                name,
                 avatar_url: avatar,
-                owner: owner.trim(),
-                developers: developers
+                html_url: `https://github.com/${username}`,
+                popular_repo: popularRepo
             };
+        }).filter(Boolean);
+    }
+
+    // Use the URL slugs from GitHub's language filter (a list of { name, slug })
+    setLanguageSlugs(languages) {
+        this.languageSlugs = {};
+        languages.forEach(language => {
+            this.languageSlugs[language.name] = language.slug;
         });
     }
 
-    // Fetch trending repositories for a single language/timeRange
-    async fetchTrendingRepos(language, timeRange = 'daily') {
-        const url = language ?
-            `https://github.com/trending/${encodeURIComponent(language)}?since=${timeRange}` :
-            `https://github.com/trending?since=${timeRange}`;
-        
+    // Get the URL slug of a language ("C#" -> "c%23", "Jupyter Notebook" -> "jupyter-notebook")
+    // Derived the way GitHub builds them when the language isn't in the list
+    getLanguageSlug(language) {
+        return this.languageSlugs[language] || encodeURIComponent(language.toLowerCase().replace(/\s+/g, '-'));
+    }
+
+    // Fetch the languages offered by the trending page's language filter
+    async fetchLanguageOptions() {
+        const html = await this.fetchTrendingPage(this.buildTrendingURL(null, 'daily'));
+        return this.parser.parseLanguageOptions(html);
+    }
+
+    // Build the URL of a trending page
+    // options.kind selects the developers page; options.spokenLanguage adds GitHub's spoken language filter
+    buildTrendingURL(language, timeRange, options = {}) {
+        const base = options.kind === 'developers' ? 'https://github.com/trending/developers' : 'https://github.com/trending';
+        const params = new URLSearchParams({ since: timeRange });
+        if (options.spokenLanguage) {
+            params.set('spoken_language_code', options.spokenLanguage);
+        }
+        return language ?
+            `${base}/${this.getLanguageSlug(language)}?${params}` :
+            `${base}?${params}`;
+    }
+
+    // Fetch the HTML of a trending page through the scheduler
+    // group tags the request with the section it is for, so removing the section can cancel it
+    fetchTrendingPage(url, group = null) {
+        return this.scheduler.schedule(url, signal => this.requestPage(url, signal), { group });
+    }
+
+    // Request a page once, aborting after the default timeout or when the scheduler cancels it
+    async requestPage(url, signal) {
         // Create an AbortController for the timeout
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), this.defaultTimeout);
+        signal.addEventListener('abort', () => controller.abort());
 
         try {
             const response = await fetch(url, {
@@ -129,37 +137,91 @@ class DataFetcher {
             });
 
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                throw this.scheduler.createHttpError(response);
             }
 
-            const html = await response.text();
-            const repos = this.parseTrendingHTML(html);
+            return await response.text();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // Cancel pending requests for a section that is no longer shown
+    cancelSection(sectionKey) {
+        this.scheduler.cancelGroup(sectionKey);
+    }
+
+    // Fetch trending repositories for a single language/timeRange
+    async fetchTrendingRepos(language, timeRange = 'daily', options = {}) {
+        const cacheOptions = { spokenLanguage: options.spokenLanguage };
+        const url = this.buildTrendingURL(language, timeRange, cacheOptions);
+
+        try {
+            const html = await this.fetchTrendingPage(url, language || 'all');
+            // Awaited because the service worker swaps in an asynchronous offscreen parser
+            const { repos, diagnostics } = await this.parseTrendingPage(html);
+            this.reportDiagnostics(diagnostics, language, timeRange);
             
-            // Cache successful results
+            // Cache successful results, keep a dated snapshot and sample star counts
             if (repos.length > 0) {
-                this.cache.set(language, timeRange, repos);
+                this.cache.set(language, timeRange, repos, this.cache.defaultTTL, cacheOptions);
+                if (this.history) {
+                    this.history.recordSnapshot(language, timeRange, repos, options.spokenLanguage);
+                }
+                if (this.starVelocity) {
+                    this.starVelocity.record(repos);
+                }
             }
             
             return repos;
         } catch (error) {
+            // Cancelled requests (a section that was removed) are expected
             if (error.name === 'AbortError') {
                 console.error(`Timeout fetching ${language || 'all'} trending after ${this.defaultTimeout}ms`);
-            } else {
+            } else if (error.name !== 'CancelError') {
                 console.error(`Error fetching ${language || 'all'} trending:`, error);
             }
             return [];
-        } finally {
-            clearTimeout(timeoutId);
         }
     }
 
-    // Fetch multiple repositories with concurrency control
-    async fetchMultipleConcurrent(requests, concurrencyLimit = 5) {
-        const results = [];
-        const executing = [];
-        
-        for (const request of requests) {
-            const promise = this.fetchTrendingRepos(request.language, request.timeRange)
+    // Fetch trending developers for a single language/timeRange, cache-first
+    async fetchTrendingDevelopers(language, timeRange = 'daily') {
+        const cacheOptions = { kind: 'developers' };
+        await this.cache.load();
+
+        const cachedData = this.cache.getValid(language, timeRange, null, cacheOptions);
+        if (cachedData) {
+            return cachedData;
+        }
+
+        const url = this.buildTrendingURL(language, timeRange, cacheOptions);
+
+        try {
+            const html = await this.fetchTrendingPage(url, 'developers');
+            const developers = this.parseTrendingDevelopersHTML(html);
+
+            if (developers.length > 0) {
+                this.cache.set(language, timeRange, developers, this.cache.defaultTTL, cacheOptions);
+            }
+
+            return developers;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.error(`Timeout fetching ${language || 'all'} trending developers after ${this.defaultTimeout}ms`);
+            } else if (error.name !== 'CancelError') {
+                console.error(`Error fetching ${language || 'all'} trending developers:`, error);
+            }
+            return [];
+        }
+    }
+
+    // Fetch multiple repositories; the scheduler caps concurrency and retries 429/5xx responses
+    async fetchMultipleConcurrent(requests) {
+        return Promise.all(requests.map(request =>
+            this.fetchTrendingRepos(request.language, request.timeRange, {
+                spokenLanguage: request.spokenLanguage
+            })
                 .then(repos => ({
                     ...request,
                     repos,
@@ -169,64 +231,44 @@ class DataFetcher {
                     ...request,
                     error,
                     success: false
-                }));
-            
-            results.push(promise);
-            
-            if (results.length >= concurrencyLimit) {
-                executing.push(promise);
-                
-                if (executing.length >= concurrencyLimit) {
-                    await Promise.race(executing);
-                    executing.splice(executing.findIndex(p => p === promise), 1);
-                }
-            }
-        }
-        
-        return Promise.all(results);
-    }
-
-    // Fetch with retry functionality
-    async fetchWithRetry(requests, concurrencyLimit = 5, retryCount = 1) {
-        let results = await this.fetchMultipleConcurrent(requests, concurrencyLimit);
-        
-        // Find failed requests for retry
-        const failedRequests = results.filter(result => !result.success).map(result => ({
-            language: result.language,
-            timeRange: result.timeRange
-        }));
-        
-        // Retry failed requests if any and retryCount > 0
-        if (failedRequests.length > 0 && retryCount > 0) {
-            console.log(`Retrying ${failedRequests.length} failed requests...`);
-            const retryResults = await this.fetchWithRetry(failedRequests, concurrencyLimit, retryCount - 1);
-            
-            // Replace failed results with retry results
-            retryResults.forEach(retryResult => {
-                const originalIndex = results.findIndex(r => 
-                    r.language === retryResult.language && r.timeRange === retryResult.timeRange
-                );
-                if (originalIndex !== -1) {
-                    results[originalIndex] = retryResult;
-                }
-            });
-        }
-        
-        return results;
+                }))
+        ));
     }
 
     // Fetch with cache-first strategy
-    async fetchWithCache(language, timeRange) {
+    // Stale entries are returned right away when onRevalidate is given; fresh data is
+    // fetched in the background and handed to onRevalidate once it arrives (null if the fetch failed).
+    async fetchWithCache(language, timeRange, onRevalidate = null, options = {}) {
+        const cacheOptions = { spokenLanguage: options.spokenLanguage };
+        await this.cache.load();
+
         // Check cache first
-        const cachedData = this.cache.getValid(language, timeRange);
+        const cachedData = this.cache.getValid(language, timeRange, null, cacheOptions);
         
         if (cachedData) {
-            console.log(`Using cached data for ${language || 'overall'} ${timeRange}`);
             return cachedData;
         }
+
+        const staleEntry = this.cache.getStale(language, timeRange, cacheOptions);
+        if (staleEntry && onRevalidate) {
+            this.revalidate(language, timeRange, options).then(repos => {
+                onRevalidate(repos.length > 0 ? repos : null);
+            });
+            return staleEntry.data;
+        }
         
-        console.log(`Fetching fresh data for ${language || 'overall'} ${timeRange}`);
-        return await this.fetchTrendingRepos(language, timeRange);
+        return await this.fetchTrendingRepos(language, timeRange, options);
+    }
+
+    // Fetch fresh data in the background, sharing one request per language/timeRange
+    revalidate(language, timeRange, options = {}) {
+        const key = this.cache.generateKey(language, timeRange, { spokenLanguage: options.spokenLanguage });
+        if (!this.revalidating.has(key)) {
+            const promise = this.fetchTrendingRepos(language, timeRange, options)
+                .finally(() => this.revalidating.delete(key));
+            this.revalidating.set(key, promise);
+        }
+        return this.revalidating.get(key);
     }
 }
 
@@ -0,0 +1,170 @@
+// Digest Page Module
+// Renders the daily digest as a printable page and hands it out as Markdown
+
+class DigestPage {
+    constructor() {
+        this.digestBuilder = new TrendingDigest(new HistoryStore());
+        this.ui = new UIComponents();
+        this.digest = null;
+        this.content = document.getElementById('digest-content');
+        this.subtitle = document.getElementById('digest-subtitle');
+
+        document.getElementById('copy-digest').addEventListener('click', (e) => this.copyMarkdown(e.currentTarget));
+        document.getElementById('download-digest').addEventListener('click', () => this.downloadMarkdown());
+        document.getElementById('print-digest').addEventListener('click', () => window.print());
+
+        this.render();
+    }
+
+    // Link to a repository on GitHub, encoding each path segment of the URL
+    repoLink(fullName) {
+        const url = `https://github.com/${fullName.split('/').map(encodeURIComponent).join('/')}`;
+        return `<a href="${this.ui.escapeHTML(url)}" target="_blank" class="text-blue-600 hover:text-blue-800">${this.ui.escapeHTML(fullName)}</a>`;
+    }
+
+    // Wrap digest content in a card
+    card(title, body) {
+        return `
+            <div class="bg-white rounded-lg shadow-lg p-6">
+                <h2 class="text-2xl font-bold text-gray-800 mb-4">${title}</h2>
+                ${body}
+            </div>
+        `;
+    }
+
+    renderTopMovers(movers) {
+        if (movers.length === 0) {
+            return '<p class="text-gray-500">Nothing recorded yet.</p>';
+        }
+        return `
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left text-gray-500 border-b border-gray-200">
+                        <th class="py-2 pr-4">Repository</th>
+                        <th class="py-2 pr-4 text-right">Stars today</th>
+                        <th class="py-2 pr-4 text-right">Best rank</th>
+                        <th class="py-2">Sections</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${movers.map(repo => `
+                        <tr class="border-b border-gray-100">
+                            <td class="py-2 pr-4">${this.repoLink(repo.full_name)}</td>
+                            <td class="py-2 pr-4 text-right text-yellow-600">+${repo.period_stars.toLocaleString()}</td>
+                            <td class="py-2 pr-4 text-right">
+                                ${repo.previousRank ? `<span class="text-gray-400">#${repo.previousRank} &rarr;</span> ` : '<span class="text-green-700">new</span> '}#${repo.rank}
+                            </td>
+                            <td class="py-2 text-gray-600">${this.ui.escapeHTML(repo.sections.map(key => this.digestBuilder.getSectionTitle(key)).join(', '))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderMultiLanguage(entries) {
+        if (entries.length === 0) {
+            return '<p class="text-gray-500">No repository is trending in more than one selected language.</p>';
+        }
+        return `
+            <ul class="space-y-2 text-sm">
+                ${entries.map(repo => `
+                    <li>
+                        ${this.repoLink(repo.full_name)}
+                        <span class="text-gray-600">&mdash; ${this.ui.escapeHTML(repo.sections.map(section => `${section.sectionKey} #${section.rank}`).join(', '))}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    renderSection(section, day) {
+        const title = this.digestBuilder.getSectionTitle(section.sectionKey);
+        let body;
+        if (!section.recorded) {
+            body = `<p class="text-gray-500">Not loaded on ${this.ui.escapeHTML(day)}; open this section on the trending page to include it.</p>`;
+        } else if (!section.compared) {
+            body = `<p class="text-gray-500">${section.count} repositories; no earlier result to compare with.</p>`;
+        } else {
+            const list = (repos, label, className, showRank) => `
+                <div>
+                    <h4 class="text-sm font-medium ${className} mb-1">${label} (${repos.length})</h4>
+                    ${repos.length > 0 ? `<ul class="text-sm space-y-1">${repos.map(repo =>
+                        `<li>${this.repoLink(repo.full_name)}${showRank ? ` <span class="text-gray-500">#${repo.rank}</span>` : ''}</li>`
+                    ).join('')}</ul>` : '<p class="text-sm text-gray-500">None</p>'}
+                </div>
+            `;
+            body = `
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    ${list(section.entered, 'Entered', 'text-green-700', true)}
+                    ${list(section.left, 'Left', 'text-red-700', false)}
+                </div>
+            `;
+        }
+
+        return `
+            <div class="digest-section py-3 border-b border-gray-100">
+                <h3 class="text-lg font-semibold text-gray-800 mb-2">${this.ui.escapeHTML(title)}</h3>
+                ${body}
+            </div>
+        `;
+    }
+
+    // Build and render the digest for the selected languages
+    async render() {
+        const languages = [null, ...await window.LanguageSettings.loadSelectedLanguages()];
+        const spokenLanguage = await window.LanguageSettings.loadSpokenLanguage();
+        const overrides = await window.LanguageSettings.loadSpokenLanguageOverrides();
+        const spokenLanguages = {};
+        languages.forEach(language => {
+            const key = language || 'all';
+            spokenLanguages[key] = key in overrides ? overrides[key] : spokenLanguage;
+        });
+        this.digest = await this.digestBuilder.build(languages, spokenLanguages);
+
+        if (!this.digest) {
+            this.subtitle.textContent = '';
+            this.content.innerHTML = '<p class="text-gray-500 text-center py-8">No trending data recorded yet. Open the trending page first; every fetch is stored for the digest.</p>';
+            return;
+        }
+
+        this.subtitle.textContent = `Trending on ${this.digest.day}` +
+            (this.digest.previousDay ? `, compared with ${this.digest.previousDay}` : '; this is the first digest, so there is nothing to compare with yet');
+
+        const notLoadedNote = this.digest.notLoaded.length > 0 ?
+            `<p class="not-loaded-note px-4 py-3 rounded-md bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">${this.ui.escapeHTML(this.digestBuilder.getNotLoadedNote(this.digest))}</p>` : '';
+
+        this.content.innerHTML = [
+            notLoadedNote,
+            this.card('Top movers', this.renderTopMovers(this.digest.topMovers)),
+            this.card('Trending in several languages', this.renderMultiLanguage(this.digest.multiLanguage)),
+            this.card('Changes by section', this.digest.sections.map(section => this.renderSection(section, this.digest.day)).join(''))
+        ].join('');
+    }
+
+    // Copy the digest as Markdown
+    async copyMarkdown(button) {
+        if (!this.digest) return;
+        await navigator.clipboard.writeText(this.digestBuilder.toMarkdown(this.digest));
+        const label = button.textContent;
+        button.textContent = 'Copied!';
+        setTimeout(() => { button.textContent = label; }, 1500);
+    }
+
+    // Download the digest as a Markdown file
+    downloadMarkdown() {
+        if (!this.digest) return;
+        const blob = new Blob([this.digestBuilder.toMarkdown(this.digest)], { type: 'text/markdown' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `github-trending-digest-${this.digest.day}.md`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+new DigestPage();
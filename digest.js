@@ -0,0 +1,213 @@
+// Digest Module
+// Builds the daily digest from stored trending snapshots: entries and exits per section, top movers and cross-language repos
+
+class TrendingDigest {
+    constructor(historyStore) {
+        this.history = historyStore;
+        this.stateKey = 'digest_state';
+        this.topMoversLimit = 10;
+        this.timeRange = 'daily';
+    }
+
+    // Read the last digest's state: { day, current, previousDay, previous } (sections keyed like history snapshots)
+    readState() {
+        return new Promise(resolve => {
+            chrome.storage.local.get(this.stateKey, result => resolve(result[this.stateKey] || null));
+        });
+    }
+
+    writeState(state) {
+        return new Promise(resolve => {
+            chrome.storage.local.set({ [this.stateKey]: state }, resolve);
+        });
+    }
+
+    // Collect the daily snapshots of the given sections (section key -> repos) recorded on a day,
+    // using each section's spoken language filter (section key -> code, missing = any)
+    async getSections(day, sectionKeys, spokenLanguages = {}) {
+        const snapshots = await this.history.getDay(day);
+        const sections = {};
+        sectionKeys.forEach(sectionKey => {
+            const snapshot = snapshots[this.history.generateKey(sectionKey === 'all' ? null : sectionKey, this.timeRange,
+                spokenLanguages[sectionKey])];
+            if (snapshot) {
+                sections[sectionKey] = snapshot.repos;
+            }
+        });
+        return sections;
+    }
+
+    // Build the digest for the selected languages (null = Overall Trending) with their spoken language filters
+    // The first digest of a day compares with the previous digest (or, before any digest, the previous recorded day);
+    // opening it again the same day keeps that comparison and picks up newer data
+    async build(languages, spokenLanguages = {}) {
+        const sectionKeys = languages.map(language => language || 'all');
+        const dates = await this.history.getDates(); // Newest first
+        if (dates.length === 0) return null;
+
+        const day = dates[0];
+        const current = await this.getSections(day, sectionKeys, spokenLanguages);
+        const state = await this.readState();
+
+        let previousDay = null;
+        let previous = {};
+        if (state && state.day === day) {
+            previousDay = state.previousDay;
+            previous = state.previous;
+        } else if (state) {
+            previousDay = state.day;
+            previous = state.current;
+        } else if (dates[1]) {
+            previousDay = dates[1];
+            previous = await this.getSections(dates[1], sectionKeys, spokenLanguages);
+        }
+        await this.writeState({ day, current, previousDay, previous });
+
+        return {
+            day,
+            previousDay,
+            generatedAt: Date.now(),
+            sections: sectionKeys.map(sectionKey => this.compareSection(sectionKey, current[sectionKey], previous[sectionKey])),
+            topMovers: this.getTopMovers(current, previous),
+            multiLanguage: this.getMultiLanguage(current),
+            // Sections load as they're scrolled to, so some may have nothing recorded today
+            notLoaded: sectionKeys.filter(sectionKey => !current[sectionKey])
+        };
+    }
+
+    // What entered and left one section
+    compareSection(sectionKey, currentRepos, previousRepos) {
+        const currentNames = new Set((currentRepos || []).map(repo => repo.full_name));
+        const previousNames = new Set((previousRepos || []).map(repo => repo.full_name));
+        return {
+            sectionKey,
+            recorded: Boolean(currentRepos),
+            compared: Boolean(currentRepos && previousRepos),
+            count: currentNames.size,
+            entered: previousRepos ? (currentRepos || []).filter(repo => !previousNames.has(repo.full_name)) : [],
+            left: currentRepos ? (previousRepos || []).filter(repo => !currentNames.has(repo.full_name)) : []
+        };
+    }
+
+    // Repositories with the most stars today, with their best rank now and before
+    getTopMovers(current, previous) {
+        const bestRanks = sections => {
+            const ranks = new Map();
+            Object.values(sections).forEach(repos => repos.forEach(repo => {
+                if (!ranks.has(repo.full_name) || repo.rank < ranks.get(repo.full_name)) {
+                    ranks.set(repo.full_name, repo.rank);
+                }
+            }));
+            return ranks;
+        };
+        const previousRanks = bestRanks(previous);
+
+        const movers = new Map();
+        Object.entries(current).forEach(([sectionKey, repos]) => repos.forEach(repo => {
+            const mover = movers.get(repo.full_name);
+            if (!mover) {
+                movers.set(repo.full_name, {
+                    ...repo,
+                    sections: [sectionKey],
+                    previousRank: previousRanks.get(repo.full_name) || null
+                });
+            } else {
+                mover.sections.push(sectionKey);
+                mover.rank = Math.min(mover.rank, repo.rank);
+            }
+        }));
+
+        return Array.from(movers.values())
+            .sort((a, b) => b.period_stars - a.period_stars)
+            .slice(0, this.topMoversLimit);
+    }
+
+    // Repositories trending in more than one language section at once
+    getMultiLanguage(current) {
+        const appearances = new Map();
+        Object.entries(current).forEach(([sectionKey, repos]) => {
+            if (sectionKey === 'all') return;
+            repos.forEach(repo => {
+                if (!appearances.has(repo.full_name)) {
+                    appearances.set(repo.full_name, { ...repo, sections: [] });
+                }
+                appearances.get(repo.full_name).sections.push({ sectionKey, rank: repo.rank });
+            });
+        });
+
+        return Array.from(appearances.values())
+            .filter(entry => entry.sections.length > 1)
+            .sort((a, b) => b.sections.length - a.sections.length || b.period_stars - a.period_stars);
+    }
+
+    // Get the display name of a section key
+    getSectionTitle(sectionKey) {
+        return sectionKey === 'all' ? 'Overall Trending' : sectionKey;
+    }
+
+    // Explain which sections the digest is missing because they were never loaded that day
+    getNotLoadedNote(digest) {
+        const titles = digest.notLoaded.map(sectionKey => this.getSectionTitle(sectionKey)).join(', ');
+        return `Not loaded on ${digest.day}, so missing here and from the top movers: ${titles}. ` +
+            'Sections are fetched when they are scrolled to on the trending page; turn on Background Refresh to record every selected language.';
+    }
+
+    // Serialize a digest as Markdown for pasting into chat
+    toMarkdown(digest) {
+        const link = fullName => `[${fullName}](https://github.com/${fullName})`;
+        const lines = [
+            `# GitHub Trending digest — ${digest.day}`,
+            '',
+            digest.previousDay ? `_Compared with ${digest.previousDay}_` : '_First digest; nothing to compare with yet_',
+            ''
+        ];
+
+        if (digest.notLoaded.length > 0) {
+            lines.push(`_${this.getNotLoadedNote(digest)}_`, '');
+        }
+
+        lines.push('## Top movers', '');
+        digest.topMovers.forEach((repo, index) => {
+            const rank = repo.previousRank ? `#${repo.previousRank} → #${repo.rank}` : `new at #${repo.rank}`;
+            lines.push(`${index + 1}. ${link(repo.full_name)} — +${repo.period_stars.toLocaleString()} stars today (${rank})`);
+        });
+        lines.push('');
+
+        if (digest.multiLanguage.length > 0) {
+            lines.push('## Trending in several languages', '');
+            digest.multiLanguage.forEach(repo => {
+                const sections = repo.sections.map(section => `${section.sectionKey} #${section.rank}`).join(', ');
+                lines.push(`- ${link(repo.full_name)} — ${sections}`);
+            });
+            lines.push('');
+        }
+
+        lines.push('## Changes by section', '');
+        digest.sections.forEach(section => {
+            lines.push(`### ${this.getSectionTitle(section.sectionKey)}`, '');
+            if (!section.recorded) {
+                lines.push(`Not loaded on ${digest.day}.`, '');
+                return;
+            }
+            if (!section.compared) {
+                lines.push(`${section.count} repositories; no earlier result to compare with.`, '');
+                return;
+            }
+            lines.push(section.entered.length > 0 ?
+                `**Entered:** ${section.entered.map(repo => `${link(repo.full_name)} (#${repo.rank})`).join(', ')}` :
+                '**Entered:** none');
+            lines.push('');
+            lines.push(section.left.length > 0 ?
+                `**Left:** ${section.left.map(repo => link(repo.full_name)).join(', ')}` :
+                '**Left:** none');
+            lines.push('');
+        });
+
+        return lines.join('\n');
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.TrendingDigest = TrendingDigest;
+}
@@ -0,0 +1,182 @@
+// Exporter Module
+// Serializes trending sections as JSON, CSV, Markdown or an Atom feed and delivers them as files or clipboard text
+
+class TrendingExporter {
+    constructor() {
+        this.formats = {
+            json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+            csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+            markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+            atom: { label: 'Atom feed', extension: 'atom', mimeType: 'application/atom+xml' }
+        };
+        this.timeRangeLabels = {
+            'daily': 'Today',
+            'weekly': 'This week',
+            'monthly': 'This month'
+        };
+    }
+
+    // Get the display name of a section
+    getSectionTitle(section) {
+        return `${section.language || 'Overall Trending'} (${this.timeRangeLabels[section.timeRange] || section.timeRange})`;
+    }
+
+    // Serialize sections ([{ language, timeRange, repos }]) in a format
+    serialize(sections, format) {
+        switch (format) {
+            case 'json': return this.toJSON(sections);
+            case 'csv': return this.toCSV(sections);
+            case 'markdown': return this.toMarkdown(sections);
+            case 'atom': return this.toAtom(sections);
+            default: throw new Error(`Unknown export format "${format}"`);
+        }
+    }
+
+    // JSON keeps the parsed repository objects as they are
+    toJSON(sections) {
+        return JSON.stringify({
+            exported_at: new Date().toISOString(),
+            sections: sections.map(section => ({
+                language: section.language,
+                time_range: section.timeRange,
+                repositories: section.repos
+            }))
+        }, null, 2);
+    }
+
+    // Quote a CSV field when needed
+    escapeCSV(value) {
+        const text = String(value ?? '');
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    toCSV(sections) {
+        const header = [
+            'section', 'time_range', 'rank', 'full_name', 'html_url', 'description', 'language',
+            'stargazers_count', 'forks_count', 'period_stars', 'period_range', 'developers'
+        ];
+        const rows = [header];
+
+        sections.forEach(section => {
+            section.repos.forEach((repo, index) => {
+                rows.push([
+                    section.language || 'all',
+                    section.timeRange,
+                    index + 1,
+                    repo.full_name,
+                    repo.html_url,
+                    repo.description,
+                    repo.language,
+                    repo.stargazers_count,
+                    repo.forks_count,
+                    repo.period_stars,
+                    repo.period_range,
+                    (repo.developers || []).map(dev => dev.username).join(' ')
+                ]);
+            });
+        });
+
+        return rows.map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\n') + '\n';
+    }
+
+    // Escape text for a Markdown table cell
+    escapeMarkdown(value) {
+        return String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+    }
+
+    toMarkdown(sections) {
+        const lines = [`# GitHub Trending — ${new Date().toLocaleDateString()}`, ''];
+
+        sections.forEach(section => {
+            lines.push(`## ${this.getSectionTitle(section)}`, '');
+            lines.push('| # | Repository | Description | Language | Stars | Period stars | Built by |');
+            lines.push('|---|---|---|---|---:|---:|---|');
+            section.repos.forEach((repo, index) => {
+                const developers = (repo.developers || []).map(dev => `[@${dev.username}](${dev.profile_url})`).join(' ');
+                lines.push(`| ${index + 1} | [${repo.full_name}](${repo.html_url}) | ${this.escapeMarkdown(repo.description)} | ` +
+                    `${this.escapeMarkdown(repo.language)} | ${repo.stargazers_count.toLocaleString()} | ` +
+                    `${(repo.period_stars || 0).toLocaleString()} | ${developers} |`);
+            });
+            lines.push('');
+        });
+
+        return lines.join('\n');
+    }
+
+    // Escape text for XML
+    escapeXML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    toAtom(sections) {
+        const updated = new Date().toISOString();
+        const day = updated.substring(0, 10);
+
+        const entries = sections.flatMap(section => section.repos.map((repo, index) => {
+            const sectionKey = `${section.language || 'all'}-${section.timeRange}`;
+            const summary = `#${index + 1} in ${this.getSectionTitle(section)} · ${repo.stargazers_count.toLocaleString()} stars` +
+                `${repo.period_stars ? ` · ${repo.period_stars.toLocaleString()} stars ${repo.period_range || ''}` : ''}`;
+            return `  <entry>
+    <id>${this.escapeXML(`${repo.html_url}#trending-${encodeURIComponent(sectionKey)}-${day}`)}</id>
+    <title>${this.escapeXML(repo.full_name)}</title>
+    <link href="${this.escapeXML(repo.html_url)}"/>
+    <updated>${updated}</updated>
+    <author><name>${this.escapeXML(repo.owner)}</name></author>
+    <category term="${this.escapeXML(section.language || 'all')}"/>
+    <summary>${this.escapeXML(summary)}</summary>
+    <content type="text">${this.escapeXML(repo.description)}</content>
+  </entry>`;
+        }));
+
+        return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>urn:github-trending-extension:${day}</id>
+  <title>GitHub Trending — ${this.escapeXML(sections.map(section => this.getSectionTitle(section)).join(', '))}</title>
+  <link href="https://github.com/trending"/>
+  <updated>${updated}</updated>
+${entries.join('\n')}
+</feed>
+`;
+    }
+
+    // Build a file name for an export
+    getFileName(sections, format) {
+        const slug = (sections[0].language || 'overall').toLowerCase()
+            .replace(/#/g, 'sharp')
+            .replace(/\+/g, 'plus')
+            .replace(/[^a-z0-9]+/g, '-');
+        const scope = sections.length === 1 ? `${slug}-${sections[0].timeRange}` : 'all';
+        const day = new Date().toISOString().substring(0, 10);
+        return `github-trending-${scope}-${day}.${this.formats[format].extension}`;
+    }
+
+    // Download sections as a file
+    download(sections, format) {
+        const content = this.serialize(sections, format);
+        const blob = new Blob([content], { type: this.formats[format].mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.getFileName(sections, format);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Copy sections to the clipboard
+    async copy(sections, format) {
+        await navigator.clipboard.writeText(this.serialize(sections, format));
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.TrendingExporter = TrendingExporter;
+}
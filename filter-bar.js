@@ -0,0 +1,203 @@
+// Filter Bar Module
+// Handles the global filter bar that narrows loaded repository cards live, mirrored in the URL hash
+
+class FilterBar {
+    constructor(container) {
+        this.container = container;
+        this.hashKeys = {
+            query: 'q',
+            minStars: 'min_stars',
+            minPeriodStars: 'min_period_stars',
+            language: 'lang',
+            hasDescription: 'has_desc'
+        };
+        this.filters = this.readHash();
+        this.applyTimer = null;
+        this.initializeBar();
+
+        // Re-apply whenever sections render or re-render
+        new MutationObserver(() => this.scheduleApply()).observe(this.container, {
+            childList: true,
+            subtree: true
+        });
+    }
+
+    // Read filters from the URL hash (other hash parameters are left alone)
+    readHash() {
+        const params = new URLSearchParams(window.location.hash.substring(1));
+        return {
+            query: params.get(this.hashKeys.query) || '',
+            minStars: parseInt(params.get(this.hashKeys.minStars), 10) || 0,
+            minPeriodStars: parseInt(params.get(this.hashKeys.minPeriodStars), 10) || 0,
+            language: params.get(this.hashKeys.language) || '',
+            hasDescription: params.get(this.hashKeys.hasDescription) === '1'
+        };
+    }
+
+    // Write active filters to the URL hash so the view can be bookmarked
+    writeHash() {
+        const params = new URLSearchParams(window.location.hash.substring(1));
+        const values = {
+            query: this.filters.query.trim(),
+            minStars: this.filters.minStars || '',
+            minPeriodStars: this.filters.minPeriodStars || '',
+            language: this.filters.language,
+            hasDescription: this.filters.hasDescription ? '1' : ''
+        };
+
+        Object.entries(this.hashKeys).forEach(([filter, key]) => {
+            if (values[filter]) {
+                params.set(key, values[filter]);
+            } else {
+                params.delete(key);
+            }
+        });
+
+        const hash = params.toString();
+        history.replaceState(null, '', hash ? `#${hash}` : window.location.pathname + window.location.search);
+    }
+
+    // Check whether any filter is active
+    isActive() {
+        const { query, minStars, minPeriodStars, language, hasDescription } = this.filters;
+        return Boolean(query.trim() || minStars || minPeriodStars || language || hasDescription);
+    }
+
+    // Build the bar inside #filter-bar
+    initializeBar() {
+        const bar = document.getElementById('filter-bar');
+        bar.innerHTML = `
+            <div class="flex flex-wrap items-center gap-3 bg-white rounded-lg shadow p-4">
+                <input type="text" id="filter-query" placeholder="Filter by name or description..."
+                       class="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500">
+                <label class="flex items-center text-sm text-gray-600">
+                    Stars &ge;
+                    <input type="number" id="filter-min-stars" min="0" step="100" class="w-24 ml-2 px-2 py-2 border border-gray-300 rounded-md text-sm">
+                </label>
+                <label class="flex items-center text-sm text-gray-600">
+                    Period stars &ge;
+                    <input type="number" id="filter-min-period-stars" min="0" step="10" class="w-24 ml-2 px-2 py-2 border border-gray-300 rounded-md text-sm">
+                </label>
+                <select id="filter-language" class="px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"></select>
+                <label for="filter-has-description" class="flex items-center text-sm text-gray-600 cursor-pointer">
+                    <input type="checkbox" id="filter-has-description" class="mr-2">
+                    Has description
+                </label>
+                <button id="filter-clear" class="text-sm text-blue-600 hover:text-blue-800">Clear</button>
+                <span id="filter-summary" class="text-sm text-gray-500"></span>
+            </div>
+        `;
+
+        this.queryInput = document.getElementById('filter-query');
+        this.minStarsInput = document.getElementById('filter-min-stars');
+        this.minPeriodStarsInput = document.getElementById('filter-min-period-stars');
+        this.languageSelect = document.getElementById('filter-language');
+        this.hasDescriptionCheckbox = document.getElementById('filter-has-description');
+        this.summary = document.getElementById('filter-summary');
+
+        this.syncInputs();
+
+        const onInput = () => {
+            this.filters = {
+                query: this.queryInput.value,
+                minStars: parseInt(this.minStarsInput.value, 10) || 0,
+                minPeriodStars: parseInt(this.minPeriodStarsInput.value, 10) || 0,
+                language: this.languageSelect.value,
+                hasDescription: this.hasDescriptionCheckbox.checked
+            };
+            this.writeHash();
+            this.apply();
+        };
+
+        this.queryInput.addEventListener('input', onInput);
+        this.minStarsInput.addEventListener('input', onInput);
+        this.minPeriodStarsInput.addEventListener('input', onInput);
+        this.languageSelect.addEventListener('change', onInput);
+        this.hasDescriptionCheckbox.addEventListener('change', onInput);
+
+        document.getElementById('filter-clear').addEventListener('click', () => {
+            this.filters = { query: '', minStars: 0, minPeriodStars: 0, language: '', hasDescription: false };
+            this.syncInputs();
+            this.writeHash();
+            this.apply();
+        });
+
+        // Restore filters when the hash changes (e.g. navigating bookmarks)
+        window.addEventListener('hashchange', () => {
+            this.filters = this.readHash();
+            this.syncInputs();
+            this.apply();
+        });
+    }
+
+    // Show the current filters in the inputs
+    syncInputs() {
+        this.queryInput.value = this.filters.query;
+        this.minStarsInput.value = this.filters.minStars || '';
+        this.minPeriodStarsInput.value = this.filters.minPeriodStars || '';
+        this.hasDescriptionCheckbox.checked = this.filters.hasDescription;
+        this.populateLanguages();
+    }
+
+    // Offer every repository language found in the loaded cards
+    populateLanguages() {
+        const languages = new Set();
+        this.container.querySelectorAll('.repo-card[data-repo-language]').forEach(card => {
+            if (card.dataset.repoLanguage) {
+                languages.add(card.dataset.repoLanguage);
+            }
+        });
+        if (this.filters.language) {
+            languages.add(this.filters.language);
+        }
+
+        const sorted = Array.from(languages).sort();
+        const current = Array.from(this.languageSelect.options).slice(1).map(option => option.value);
+        if (current.join('\n') !== sorted.join('\n')) {
+            this.languageSelect.replaceChildren(
+                new Option('Any language', ''),
+                ...sorted.map(language => new Option(language, language))
+            );
+        }
+        this.languageSelect.value = this.filters.language;
+    }
+
+    // Check whether a card passes the filters
+    matches(card) {
+        const { query, minStars, minPeriodStars, language, hasDescription } = this.filters;
+        const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+        if (terms.length > 0 && !terms.every(term => card.dataset.search.includes(term))) return false;
+        if (minStars && Number(card.dataset.stars) < minStars) return false;
+        if (minPeriodStars && Number(card.dataset.periodStars) < minPeriodStars) return false;
+        if (language && card.dataset.repoLanguage !== language) return false;
+        if (hasDescription && card.dataset.hasDescription !== 'true') return false;
+        return true;
+    }
+
+    // Debounce re-applying while many sections render
+    scheduleApply() {
+        clearTimeout(this.applyTimer);
+        this.applyTimer = setTimeout(() => this.apply(), 100);
+    }
+
+    // Hide cards that don't pass the filters
+    apply() {
+        this.populateLanguages();
+
+        const cards = this.container.querySelectorAll('.repo-card[data-search]');
+        let shown = 0;
+        cards.forEach(card => {
+            const visible = this.matches(card);
+            card.classList.toggle('filtered-out', !visible);
+            if (visible) shown++;
+        });
+
+        this.summary.textContent = this.isActive() ? `${shown} of ${cards.length} repositories match` : '';
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.FilterBar = FilterBar;
+}
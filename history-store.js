@@ -0,0 +1,159 @@
+// History Store Module
+// Records a dated snapshot of every trending result so past days can be browsed
+
+class HistoryStore {
+    constructor(options = {}) {
+        this.keyPrefix = 'history_';
+        this.indexKey = 'history_dates';
+        this.retentionDays = options.retentionDays || 60;
+        this.storage = (typeof chrome !== 'undefined' && chrome.storage) ? chrome.storage.local : null;
+        // Writes are serialized so concurrent fetches don't overwrite each other's snapshots
+        this.writeQueue = Promise.resolve();
+    }
+
+    // Format a date as YYYY-MM-DD in local time
+    formatDate(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // Generate snapshot key within a day; lists filtered by spoken language get their own key
+    generateKey(language, timeRange, spokenLanguage = '') {
+        const suffix = spokenLanguage ? `-${spokenLanguage}` : '';
+        return `${language || 'all'}-${timeRange}${suffix}`;
+    }
+
+    // Split a snapshot key back into language, time range and spoken language ('' = any)
+    parseKey(key) {
+        const match = key.match(/^(.+)-(daily|weekly|monthly)(?:-([^-]+))?$/);
+        const language = match ? match[1] : key;
+        return {
+            language: language === 'all' ? null : language,
+            timeRange: match ? match[2] : '',
+            spokenLanguage: (match && match[3]) || ''
+        };
+    }
+
+    // Read keys from storage
+    read(keys) {
+        return new Promise(resolve => {
+            if (!this.storage) {
+                resolve({});
+                return;
+            }
+            this.storage.get(keys, resolve);
+        });
+    }
+
+    // Write items to storage
+    write(items) {
+        return new Promise(resolve => {
+            if (!this.storage) {
+                resolve();
+                return;
+            }
+            this.storage.set(items, resolve);
+        });
+    }
+
+    // Remove keys from storage
+    remove(keys) {
+        return new Promise(resolve => {
+            if (!this.storage || keys.length === 0) {
+                resolve();
+                return;
+            }
+            this.storage.remove(keys, resolve);
+        });
+    }
+
+    // Record the latest result for a language/timeRange/spoken language on the given day
+    recordSnapshot(language, timeRange, repos, spokenLanguage = '', date = new Date()) {
+        if (!repos || repos.length === 0) return this.writeQueue;
+
+        const day = this.formatDate(date);
+        const entries = repos.map((repo, index) => ({
+            full_name: repo.full_name,
+            rank: index + 1,
+            period_stars: repo.period_stars || 0,
+            stargazers_count: repo.stargazers_count || 0
+        }));
+
+        this.writeQueue = this.writeQueue.then(async () => {
+            const dayKey = this.keyPrefix + day;
+            const result = await this.read([dayKey, this.indexKey]);
+            const snapshots = result[dayKey] || {};
+            let dates = result[this.indexKey] || [];
+
+            snapshots[this.generateKey(language, timeRange, spokenLanguage)] = {
+                recordedAt: Date.now(),
+                repos: entries
+            };
+
+            if (!dates.includes(day)) {
+                dates = [...dates, day].sort();
+            }
+
+            // Drop days beyond the retention window
+            const expired = dates.slice(0, Math.max(0, dates.length - this.retentionDays));
+            dates = dates.slice(expired.length);
+
+            await this.write({ [dayKey]: snapshots, [this.indexKey]: dates });
+            await this.remove(expired.map(expiredDay => this.keyPrefix + expiredDay));
+        }).catch(error => {
+            console.error('Error recording trending snapshot:', error);
+        });
+
+        return this.writeQueue;
+    }
+
+    // Get all recorded days, newest first
+    async getDates() {
+        const result = await this.read(this.indexKey);
+        return (result[this.indexKey] || []).slice().reverse();
+    }
+
+    // Get every snapshot recorded on a day, keyed by language/timeRange/spoken language
+    async getDay(day) {
+        const dayKey = this.keyPrefix + day;
+        const result = await this.read(dayKey);
+        return result[dayKey] || {};
+    }
+
+    // Get one snapshot, or null if nothing was recorded
+    async getSnapshot(day, language, timeRange, spokenLanguage = '') {
+        const snapshots = await this.getDay(day);
+        return snapshots[this.generateKey(language, timeRange, spokenLanguage)] || null;
+    }
+
+    // Get every appearance of a repository across all recorded days, oldest first
+    async getRepoTimeline(fullName) {
+        const dates = (await this.getDates()).reverse();
+        const result = await this.read(dates.map(day => this.keyPrefix + day));
+        const timeline = [];
+
+        dates.forEach(day => {
+            const snapshots = result[this.keyPrefix + day] || {};
+            Object.entries(snapshots).forEach(([key, snapshot]) => {
+                const entry = snapshot.repos.find(repo => repo.full_name === fullName);
+                if (entry) {
+                    timeline.push({
+                        date: day,
+                        ...this.parseKey(key),
+                        rank: entry.rank,
+                        period_stars: entry.period_stars,
+                        stargazers_count: entry.stargazers_count
+                    });
+                }
+            });
+        });
+
+        return timeline;
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.HistoryStore = HistoryStore;
+}
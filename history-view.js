@@ -0,0 +1,182 @@
+// History View Module
+// Handles the history modal: browsing past snapshots and per-repository timelines
+
+class HistoryView {
+    constructor(historyStore, uiComponents) {
+        this.history = historyStore;
+        this.ui = uiComponents;
+        this.initializeModal();
+    }
+
+    // Initialize history modal
+    initializeModal() {
+        const historyBtn = document.getElementById('history-btn');
+        const historyModal = document.getElementById('history-modal');
+        const closeHistory = document.getElementById('close-history');
+        this.dateSelect = document.getElementById('history-date');
+        this.languageSelect = document.getElementById('history-language');
+        this.timeRangeSelect = document.getElementById('history-time-range');
+        this.content = document.getElementById('history-content');
+
+        this.timeRangeSelect.innerHTML = this.ui.timeRanges.map(range =>
+            `<option value="${range}">${this.ui.timeRangeLabels[range]}</option>`
+        ).join('');
+
+        // Open history modal on the most recent day
+        historyBtn.addEventListener('click', async () => {
+            await this.populateDates();
+            historyModal.classList.remove('hidden');
+        });
+
+        // Close history modal
+        const closeModal = () => {
+            historyModal.classList.add('hidden');
+        };
+
+        closeHistory.addEventListener('click', closeModal);
+
+        // Close modal when clicking outside
+        historyModal.addEventListener('click', (e) => {
+            if (e.target === historyModal) {
+                closeModal();
+            }
+        });
+
+        this.dateSelect.addEventListener('change', () => this.populateLanguages());
+        this.languageSelect.addEventListener('change', () => this.renderSnapshot());
+        this.timeRangeSelect.addEventListener('change', () => this.renderSnapshot());
+    }
+
+    // Fill the date selector with every recorded day
+    async populateDates() {
+        const dates = await this.history.getDates();
+        this.dateSelect.innerHTML = dates.map(day => `<option value="${this.ui.escapeHTML(day)}">${this.ui.escapeHTML(day)}</option>`).join('');
+
+        if (dates.length === 0) {
+            this.languageSelect.innerHTML = '';
+            this.content.innerHTML = '<p class="text-gray-500 text-center py-8">No history recorded yet. Snapshots are saved every time trending data is fetched.</p>';
+            return;
+        }
+
+        await this.populateLanguages();
+    }
+
+    // Build a repository's GitHub URL, encoding each path segment
+    repoURL(fullName) {
+        return `https://github.com/${fullName.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    // Label a section (as plain text), adding its spoken language filter when it has one
+    sectionLabel(language, spokenLanguage) {
+        const name = language || 'Overall Trending';
+        return spokenLanguage ? `${name} (${window.LanguageSettings.getSpokenLanguageName(spokenLanguage)})` : name;
+    }
+
+    // Fill the language selector with the sections recorded on the selected day
+    // Option values are "section key|spoken language code" so filtered lists are listed separately
+    async populateLanguages() {
+        const snapshots = await this.history.getDay(this.dateSelect.value);
+        const previous = this.languageSelect.value;
+        const sections = [...new Set(Object.keys(snapshots).map(key => {
+            const { language, spokenLanguage } = this.history.parseKey(key);
+            return `${language || 'all'}|${spokenLanguage}`;
+        }))];
+
+        this.languageSelect.innerHTML = sections.map(value => {
+            const [key, spokenLanguage] = value.split('|');
+            return `<option value="${this.ui.escapeHTML(value)}" ${value === previous ? 'selected' : ''}>${this.ui.escapeHTML(this.sectionLabel(key === 'all' ? null : key, spokenLanguage))}</option>`;
+        }).join('');
+
+        await this.renderSnapshot();
+    }
+
+    // Render the ranked list for the selected day/language/timeRange
+    async renderSnapshot() {
+        const day = this.dateSelect.value;
+        const [key, spokenLanguage = ''] = this.languageSelect.value.split('|');
+        const language = key === 'all' ? null : key;
+        const timeRange = this.timeRangeSelect.value;
+        const snapshot = await this.history.getSnapshot(day, language, timeRange, spokenLanguage);
+
+        if (!snapshot) {
+            this.content.innerHTML = `<p class="text-gray-500 text-center py-8">Nothing recorded for ${this.ui.escapeHTML(this.sectionLabel(language, spokenLanguage))} (${this.ui.timeRangeLabels[timeRange]}) on ${this.ui.escapeHTML(day)}.</p>`;
+            return;
+        }
+
+        this.content.innerHTML = `
+            <p class="text-xs text-gray-500 mb-3">Recorded at ${new Date(snapshot.recordedAt).toLocaleTimeString()}</p>
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left text-gray-500 border-b border-gray-200">
+                        <th class="py-2 pr-4">#</th>
+                        <th class="py-2 pr-4">Repository</th>
+                        <th class="py-2 pr-4 text-right">Period stars</th>
+                        <th class="py-2 text-right">Total stars</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${snapshot.repos.map(repo => `
+                        <tr class="border-b border-gray-100">
+                            <td class="py-2 pr-4 text-gray-500">${repo.rank}</td>
+                            <td class="py-2 pr-4">
+                                <button class="history-repo-link text-blue-600 hover:text-blue-800" data-repo="${this.ui.escapeHTML(repo.full_name)}">${this.ui.escapeHTML(repo.full_name)}</button>
+                            </td>
+                            <td class="py-2 pr-4 text-right text-yellow-600">${repo.period_stars.toLocaleString()}</td>
+                            <td class="py-2 text-right text-gray-600">${repo.stargazers_count.toLocaleString()}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        this.content.querySelectorAll('.history-repo-link').forEach(button => {
+            button.addEventListener('click', () => this.renderTimeline(button.dataset.repo));
+        });
+    }
+
+    // Render every recorded appearance of a repository
+    async renderTimeline(fullName) {
+        const timeline = await this.history.getRepoTimeline(fullName);
+        const days = [...new Set(timeline.map(entry => entry.date))];
+        const firstSeen = days[0];
+
+        this.content.innerHTML = `
+            <button class="history-back text-sm text-blue-600 hover:text-blue-800 mb-4">&larr; Back to snapshot</button>
+            <div class="flex items-center justify-between mb-2">
+                <a href="${this.ui.escapeHTML(this.repoURL(fullName))}" target="_blank" class="text-lg font-medium text-blue-600 hover:text-blue-800">${this.ui.escapeHTML(fullName)}</a>
+            </div>
+            <p class="text-sm text-gray-600 mb-4">
+                Trending on ${days.length} recorded day${days.length === 1 ? '' : 's'}${firstSeen ? `, first seen ${this.ui.escapeHTML(firstSeen)}` : ''}.
+            </p>
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left text-gray-500 border-b border-gray-200">
+                        <th class="py-2 pr-4">Date</th>
+                        <th class="py-2 pr-4">Section</th>
+                        <th class="py-2 pr-4 text-right">Rank</th>
+                        <th class="py-2 pr-4 text-right">Period stars</th>
+                        <th class="py-2 text-right">Total stars</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${timeline.map(entry => `
+                        <tr class="border-b border-gray-100">
+                            <td class="py-2 pr-4 text-gray-600">${this.ui.escapeHTML(entry.date)}</td>
+                            <td class="py-2 pr-4">${this.ui.escapeHTML(this.sectionLabel(entry.language || 'Overall', entry.spokenLanguage))} &middot; ${this.ui.timeRangeLabels[entry.timeRange]}</td>
+                            <td class="py-2 pr-4 text-right">#${entry.rank}</td>
+                            <td class="py-2 pr-4 text-right text-yellow-600">${entry.period_stars.toLocaleString()}</td>
+                            <td class="py-2 text-right text-gray-600">${entry.stargazers_count.toLocaleString()}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        this.content.querySelector('.history-back').addEventListener('click', () => this.renderSnapshot());
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.HistoryView = HistoryView;
+}
@@ -0,0 +1,93 @@
+// Language Catalog Module
+// Keeps the list of languages GitHub's trending page can filter by, with the URL slug of each
+
+class LanguageCatalog {
+    constructor(dataFetcher) {
+        this.dataFetcher = dataFetcher;
+        this.ttl = 7 * 24 * 60 * 60 * 1000; // GitHub rarely adds languages; refresh weekly
+        this.languages = null; // [{ name, slug }] from GitHub, null until one was fetched
+        this.fetchedAt = 0;
+        this.loadPromise = null;
+        this.refreshPromise = null;
+    }
+
+    // Load the cached list from storage (once), refreshing it in the background when missing or old
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = window.LanguageSettings.loadLanguageCatalog().then(catalog => {
+                if (catalog && catalog.languages.length > 0) {
+                    this.languages = catalog.languages;
+                    this.fetchedAt = catalog.fetchedAt;
+                    this.dataFetcher.setLanguageSlugs(this.languages);
+                }
+                if (Date.now() - this.fetchedAt > this.ttl) {
+                    this.refresh();
+                }
+            });
+        }
+        return this.loadPromise;
+    }
+
+    // Fetch the list from the trending page's language filter, keeping the old one on failure
+    refresh() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.dataFetcher.fetchLanguageOptions()
+                .then(async (languages) => {
+                    if (languages.length === 0) {
+                        throw new Error('Language filter not found on the trending page');
+                    }
+                    this.languages = languages;
+                    this.fetchedAt = Date.now();
+                    this.dataFetcher.setLanguageSlugs(languages);
+                    await window.LanguageSettings.saveLanguageCatalog({ languages, fetchedAt: this.fetchedAt });
+                })
+                .catch(error => {
+                    console.error('Error loading the GitHub language list:', error);
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        return this.refreshPromise;
+    }
+
+    // Wait until a list from GitHub is available, fetching it now if there is none yet
+    // Returns false when GitHub couldn't be reached and nothing is cached
+    async ensureLoaded() {
+        await this.load();
+        if (!this.languages) {
+            await this.refresh();
+        }
+        return Boolean(this.languages);
+    }
+
+    // Get the display names of all languages
+    getNames() {
+        return this.languages ? this.languages.map(language => language.name) : [];
+    }
+
+    // Decode a URL slug, keeping it as is when it isn't valid percent-encoding
+    decodeSlug(slug) {
+        try {
+            return decodeURIComponent(slug);
+        } catch (error) {
+            return slug;
+        }
+    }
+
+    // Find a language by display name or URL slug (encoded or decoded), ignoring case
+    find(name) {
+        if (!this.languages) return null;
+        const query = name.trim().toLowerCase();
+        return this.languages.find(language =>
+            language.name.toLowerCase() === query ||
+            language.slug.toLowerCase() === query ||
+            this.decodeSlug(language.slug).toLowerCase() === query
+        ) || null;
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.LanguageCatalog = LanguageCatalog;
+}
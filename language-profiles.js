@@ -0,0 +1,109 @@
+// Language Profiles Module
+// Handles named profiles, each with its own languages (in section order) and default time ranges
+
+class LanguageProfiles {
+    constructor() {
+        this.profiles = []; // [{ id, name, languages, timeRanges: section key -> time range }]
+        this.activeId = null;
+    }
+
+    // Load profiles, starting with a "Default" profile holding the current selection
+    async load() {
+        const stored = await window.LanguageSettings.loadLanguageProfiles();
+        if (stored && stored.profiles.length > 0) {
+            this.profiles = stored.profiles;
+            this.activeId = stored.activeId;
+        } else {
+            this.profiles = [{
+                id: 'default',
+                name: 'Default',
+                languages: await window.LanguageSettings.loadSelectedLanguages(),
+                timeRanges: {}
+            }];
+            this.activeId = 'default';
+        }
+        return this.getActive();
+    }
+
+    // Save profiles and mirror the active profile's languages
+    async save() {
+        await window.LanguageSettings.saveLanguageProfiles({
+            activeId: this.activeId,
+            profiles: this.profiles
+        });
+        await window.LanguageSettings.saveSelectedLanguages(this.getActive().languages);
+    }
+
+    // Get the active profile
+    getActive() {
+        return this.profiles.find(profile => profile.id === this.activeId) || this.profiles[0];
+    }
+
+    // Check a profile name, ignoring the profile being renamed
+    validateName(name, exceptId = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Profile name cannot be empty');
+        }
+        if (this.profiles.some(profile => profile.id !== exceptId && profile.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`A profile named "${trimmed}" already exists`);
+        }
+        return trimmed;
+    }
+
+    // Make a profile active and return it
+    async setActive(id) {
+        if (!this.profiles.some(profile => profile.id === id)) {
+            throw new Error('Unknown profile');
+        }
+        this.activeId = id;
+        await this.save();
+        return this.getActive();
+    }
+
+    // Create a profile starting from a copy of the active one, and make it active
+    async create(name) {
+        const active = this.getActive();
+        const profile = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: this.validateName(name),
+            languages: [...active.languages],
+            timeRanges: { ...active.timeRanges }
+        };
+        this.profiles.push(profile);
+        return this.setActive(profile.id);
+    }
+
+    // Rename a profile
+    async rename(id, name) {
+        const profile = this.profiles.find(item => item.id === id);
+        profile.name = this.validateName(name, id);
+        await this.save();
+    }
+
+    // Remove a profile; removing the active one activates the first remaining profile
+    async remove(id) {
+        if (this.profiles.length === 1) {
+            throw new Error('The last profile cannot be deleted');
+        }
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+        if (this.activeId === id) {
+            this.activeId = this.profiles[0].id;
+        }
+        await this.save();
+        return this.getActive();
+    }
+
+    // Update the active profile's languages and default time ranges
+    async updateActive(languages, timeRanges) {
+        const active = this.getActive();
+        active.languages = [...languages];
+        active.timeRanges = { ...timeRanges };
+        await this.save();
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.LanguageProfiles = LanguageProfiles;
+}
@@ -1,47 +1,45 @@
 // Language configurations for GitHub Trending Extension
 
-// Language colors mapping
-const LANGUAGE_COLORS = {
-    'Apex': '#1797c0',
-    'Assembly': '#6E4C13',
-    'C': '#555555',
-    'C#': '#239120',
-    'C++': '#f34b7d',
-    'Clojure': '#db5855',
-    'COBOL': '#2c5aa0',
-    'Crystal': '#000100',
-    'D': '#ba595e',
-    'Dart': '#00B4AB',
-    'F#': '#b845fc',
-    'Fortran': '#4d41b1',
-    'Go': '#00ADD8',
-    'Groovy': '#e69f56',
-    'Io': '#a9188d',
-    'Java': '#b07219',
-    'JavaScript': '#f1e05a',
-    'Julia': '#a270ba',
-    'Kotlin': '#A97BFF',
-    'Lua': '#000080',
-    'MATLAB': '#e16737',
-    'Mojo': '#ff4500',
-    'Nim': '#ffc200',
-    'Objective-C': '#438eff',
-    'OCaml': '#3be133',
-    'Pascal': '#cc4125',
-    'Perl': '#0298c3',
-    'PHP': '#4F5D95',
-    'Python': '#3572A5',
-    'R': '#198CE7',
-    'Raku': '#0000fb',
-    'Ruby': '#701516',
-    'Rust': '#dea584',
-    'Swift': '#fa7343',
-    'TypeScript': '#2b7489',
-    'Zig': '#ec915c'
-};
-
-// Available languages (sorted alphabetically)
-const AVAILABLE_LANGUAGES = Object.keys(LANGUAGE_COLORS).sort();
+// Languages offered without adding them as custom languages (sorted alphabetically)
+// Colors come from GitHub Linguist (see linguist-colors.js)
+const AVAILABLE_LANGUAGES = [
+    'Apex',
+    'Assembly',
+    'C',
+    'C#',
+    'C++',
+    'COBOL',
+    'Clojure',
+    'Crystal',
+    'D',
+    'Dart',
+    'F#',
+    'Fortran',
+    'Go',
+    'Groovy',
+    'Io',
+    'Java',
+    'JavaScript',
+    'Julia',
+    'Kotlin',
+    'Lua',
+    'MATLAB',
+    'Mojo',
+    'Nim',
+    'OCaml',
+    'Objective-C',
+    'PHP',
+    'Pascal',
+    'Perl',
+    'Python',
+    'R',
+    'Raku',
+    'Ruby',
+    'Rust',
+    'Swift',
+    'TypeScript',
+    'Zig'
+].sort();
 
 // Default selected languages (these will be loaded by default)
 const DEFAULT_SELECTED_LANGUAGES = [
@@ -55,15 +53,92 @@ const DEFAULT_SELECTED_LANGUAGES = [
     "Lua",
 ];
 
+// Spoken languages supported by GitHub's spoken_language_code filter (ISO 639-1)
+const SPOKEN_LANGUAGES = [
+    { code: 'ar', name: 'Arabic' },
+    { code: 'zh', name: 'Chinese' },
+    { code: 'nl', name: 'Dutch' },
+    { code: 'en', name: 'English' },
+    { code: 'fr', name: 'French' },
+    { code: 'de', name: 'German' },
+    { code: 'hi', name: 'Hindi' },
+    { code: 'id', name: 'Indonesian' },
+    { code: 'it', name: 'Italian' },
+    { code: 'ja', name: 'Japanese' },
+    { code: 'ko', name: 'Korean' },
+    { code: 'fa', name: 'Persian' },
+    { code: 'pl', name: 'Polish' },
+    { code: 'pt', name: 'Portuguese' },
+    { code: 'ru', name: 'Russian' },
+    { code: 'es', name: 'Spanish' },
+    { code: 'th', name: 'Thai' },
+    { code: 'tr', name: 'Turkish' },
+    { code: 'uk', name: 'Ukrainian' },
+    { code: 'vi', name: 'Vietnamese' }
+];
+
 // Settings keys for chrome storage
 const SETTINGS_KEYS = {
     SELECTED_LANGUAGES: 'selected_languages',
-    CUSTOM_LANGUAGES: 'custom_languages'
+    CUSTOM_LANGUAGES: 'custom_languages',
+    DEVELOPERS_SECTION: 'developers_section',
+    SPOKEN_LANGUAGE: 'spoken_language',
+    SPOKEN_LANGUAGE_OVERRIDES: 'spoken_language_overrides',
+    BACKGROUND_REFRESH: 'background_refresh',
+    HIDE_SEEN_REPOS: 'hide_seen_repos',
+    SHOW_COMBINED_FEED: 'show_combined_feed',
+    SECTION_SORT_ORDERS: 'section_sort_orders',
+    API_ENRICHMENT: 'api_enrichment',
+    LANGUAGE_CATALOG: 'language_catalog',
+    LANGUAGE_COLOR_OVERRIDES: 'language_color_overrides',
+    WEBHOOK: 'webhook',
+    LANGUAGE_PROFILES: 'language_profiles'
+};
+
+// Default scheduled background refresh settings
+const DEFAULT_BACKGROUND_REFRESH = {
+    enabled: false,
+    intervalMinutes: 60,
+    topN: 10, // Notify when a repo enters a section's top N
+    maxNotificationsPerRefresh: 3,
+    minMinutesBetweenNotifications: 60
+};
+
+// Default GitHub REST API enrichment settings (apiBaseUrl can point at a local mock server)
+const DEFAULT_API_ENRICHMENT = {
+    enabled: false,
+    token: '',
+    apiBaseUrl: 'https://api.github.com'
+};
+
+// Default outbound webhook settings
+// format picks the default payload template ('json' or 'slack'); an empty template uses it
+// sectionFilters: section key -> { enabled, minPeriodStars }; sections without one are included
+const DEFAULT_WEBHOOK = {
+    enabled: false,
+    url: '',
+    format: 'json',
+    secret: '',
+    template: '',
+    sectionFilters: {}
 };
 
-// Get language color
+// Default trending developers section settings (language null = all languages)
+const DEFAULT_DEVELOPERS_SECTION = {
+    enabled: false,
+    language: null
+};
+
+// Color for languages Linguist has no color for
+const DEFAULT_LANGUAGE_COLOR = '#8b5cf6';
+
+// Colors the user picked (language -> hex color), kept in sync by loadLanguageColorOverrides/saveLanguageColorOverrides
+let languageColorOverrides = {};
+
+// Get language color: the user's override, then Linguist's color
 function getLanguageColor(language) {
-    return LANGUAGE_COLORS[language] || '#8b5cf6';
+    const linguistColors = typeof LINGUIST_COLORS !== 'undefined' ? LINGUIST_COLORS : {};
+    return languageColorOverrides[language] || linguistColors[language] || DEFAULT_LANGUAGE_COLOR;
 }
 
 // Get default languages configuration
@@ -147,6 +222,237 @@ async function removeCustomLanguage(languageName) {
     await saveCustomLanguages(filteredLanguages);
 }
 
+// Save trending developers section settings to storage
+async function saveDevelopersSection(developersSection) {
+    return new Promise(resolve => {
+        chrome.storage.local.set({
+            [SETTINGS_KEYS.DEVELOPERS_SECTION]: developersSection
+        }, resolve);
+    });
+}
+
+// Load trending developers section settings from storage
+async function loadDevelopersSection() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(SETTINGS_KEYS.DEVELOPERS_SECTION, result => {
+            const stored = result[SETTINGS_KEYS.DEVELOPERS_SECTION];
+            resolve({ ...DEFAULT_DEVELOPERS_SECTION, ...stored });
+        });
+    });
+}
+
+// Get the display name of a spoken language code ('' = any)
+function getSpokenLanguageName(code) {
+    if (!code) return 'Any';
+    const spokenLanguage = SPOKEN_LANGUAGES.find(item => item.code === code);
+    return spokenLanguage ? spokenLanguage.name : code;
+}
+
+// Save spoken language preference ('' = any) to storage
+async function saveSpokenLanguage(code) {
+    return new Promise(resolve => {
+        chrome.storage.local.set({
+            [SETTINGS_KEYS.SPOKEN_LANGUAGE]: code || ''
+        }, resolve);
+    });
+}
+
+// Load spoken language preference from storage
+async function loadSpokenLanguage() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(SETTINGS_KEYS.SPOKEN_LANGUAGE, result => {
+            resolve(result[SETTINGS_KEYS.SPOKEN_LANGUAGE] || '');
+        });
+    });
+}
+
+// Save per-section spoken language overrides (section key -> code) to storage
+async function saveSpokenLanguageOverrides(overrides) {
+    return new Promise(resolve => {
+        chrome.storage.local.set({
+            [SETTINGS_KEYS.SPOKEN_LANGUAGE_OVERRIDES]: overrides
+        }, resolve);
+    });
+}
+
+// Load per-section spoken language overrides from storage
+async function loadSpokenLanguageOverrides() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(SETTINGS_KEYS.SPOKEN_LANGUAGE_OVERRIDES, result => {
+            resolve(result[SETTINGS_KEYS.SPOKEN_LANGUAGE_OVERRIDES] || {});
+        });
+    });
+}
+
+// Save background refresh settings to storage
+async function saveBackgroundRefresh(backgroundRefresh) {
+    return new Promise(resolve => {
+        chrome.storage.local.set({
+            [SETTINGS_KEYS.BACKGROUND_REFRESH]: backgroundRefresh
+        }, resolve);
+    });
+}
+
+// Load background refresh settings from storage
+async function loadBackgroundRefresh() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(SETTINGS_KEYS.BACKGROUND_REFRESH, result => {
+            const stored = result[SETTINGS_KEYS.BACKGROUND_REFRESH];
+            resolve({ ...DEFAULT_BACKGROUND_REFRESH, ...stored });
+        });
+    });
+}
+
+// Save whether repositories seen on previous visits are hidden
+async function saveHideSeenRepos(hideSeen) {
+    return new Promise(resolve => {
+        chrome.storage.local.set({
+            [SETTINGS_KEYS.HIDE_SEEN_REPOS]: hideSeen
+        }, resolve);
+    });
+}
+
+// Load whether repositories seen on previous visits are hidden
+async function loadHideSeenRepos() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(SETTINGS_KEYS.HIDE_SEEN_REPOS, result => {
+            resolve(result[SETTINGS_KEYS.HIDE_SEEN_REPOS] || false);
+        });
+    });
+}
+
+// Save whether the combined "All selected" feed is shown
+async function saveShowCombinedFeed(showCombinedFeed) {
+    return new Promise(resolve => {
+        chrome.storage.local.set({
+            [SETTINGS_KEYS.SHOW_COMBINED_FEED]: showCombinedFeed
+        }, resolve);
+    });
+}
+
+// Load whether the combined "All selected" feed is shown (on by default)
+async function loadShowCombinedFeed() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(SETTINGS_KEYS.SHOW_COMBINED_FEED, result => {
+            const stored = result[SETTINGS_KEYS.SHOW_COMBINED_FEED];
+            resolve(stored === undefined ? true : stored);
+        });
+    });
+}
+
+// Save the sort order chosen for each section
+async function saveSectionSortOrders(sortOrders) {
+    return new Promise(resolve => {
+        chrome.storage.local.set({
+            [SETTINGS_KEYS.SECTION_SORT_ORDERS]: sortOrders
+        }, resolve);
+    });
+}
+
+// Load the sort order chosen for each section
+async function loadSectionSortOrders() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(SETTINGS_KEYS.SECTION_SORT_ORDERS, result => {
+            resolve(result[SETTINGS_KEYS.SECTION_SORT_ORDERS] || {});
+        });
+    });
+}
+
+// Save GitHub REST API enrichment settings
+async function saveApiEnrichment(apiEnrichment) {
+    return new Promise(resolve => {
+        chrome.storage.local.set({
+            [SETTINGS_KEYS.API_ENRICHMENT]: apiEnrichment
+        }, resolve);
+    });
+}
+
+// Load GitHub REST API enrichment settings
+async function loadApiEnrichment() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(SETTINGS_KEYS.API_ENRICHMENT, result => {
+            const stored = result[SETTINGS_KEYS.API_ENRICHMENT];
+            resolve({ ...DEFAULT_API_ENRICHMENT, ...stored });
+        });
+    });
+}
+
+// Save the language list parsed from GitHub's trending page ({ languages: [{ name, slug }], fetchedAt })
+async function saveLanguageCatalog(catalog) {
+    return new Promise(resolve => {
+        chrome.storage.local.set({
+            [SETTINGS_KEYS.LANGUAGE_CATALOG]: catalog
+        }, resolve);
+    });
+}
+
+// Load the language list parsed from GitHub's trending page (null if never fetched)
+async function loadLanguageCatalog() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(SETTINGS_KEYS.LANGUAGE_CATALOG, result => {
+            resolve(result[SETTINGS_KEYS.LANGUAGE_CATALOG] || null);
+        });
+    });
+}
+
+// Save the user's language color overrides (language -> hex color)
+async function saveLanguageColorOverrides(overrides) {
+    languageColorOverrides = { ...overrides };
+    return new Promise(resolve => {
+        chrome.storage.local.set({
+            [SETTINGS_KEYS.LANGUAGE_COLOR_OVERRIDES]: overrides
+        }, resolve);
+    });
+}
+
+// Load the user's language color overrides, applying them to getLanguageColor
+async function loadLanguageColorOverrides() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(SETTINGS_KEYS.LANGUAGE_COLOR_OVERRIDES, result => {
+            languageColorOverrides = result[SETTINGS_KEYS.LANGUAGE_COLOR_OVERRIDES] || {};
+            resolve({ ...languageColorOverrides });
+        });
+    });
+}
+
+// Save named language profiles: { activeId, profiles: [{ id, name, languages, timeRanges }] }
+// The active profile's languages are mirrored in SELECTED_LANGUAGES for the background worker and the digest
+async function saveLanguageProfiles(state) {
+    return new Promise(resolve => {
+        chrome.storage.local.set({
+            [SETTINGS_KEYS.LANGUAGE_PROFILES]: state
+        }, resolve);
+    });
+}
+
+// Load named language profiles (null before any were saved)
+async function loadLanguageProfiles() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(SETTINGS_KEYS.LANGUAGE_PROFILES, result => {
+            resolve(result[SETTINGS_KEYS.LANGUAGE_PROFILES] || null);
+        });
+    });
+}
+
+// Save outbound webhook settings
+async function saveWebhook(webhook) {
+    return new Promise(resolve => {
+        chrome.storage.local.set({
+            [SETTINGS_KEYS.WEBHOOK]: webhook
+        }, resolve);
+    });
+}
+
+// Load outbound webhook settings
+async function loadWebhook() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(SETTINGS_KEYS.WEBHOOK, result => {
+            const stored = result[SETTINGS_KEYS.WEBHOOK];
+            resolve({ ...DEFAULT_WEBHOOK, ...stored });
+        });
+    });
+}
+
 // Export for use in other files
 if (typeof window !== 'undefined') {
     window.LanguageSettings = {
@@ -160,8 +466,39 @@ if (typeof window !== 'undefined') {
         loadCustomLanguages,
         addCustomLanguage,
         removeCustomLanguage,
-        LANGUAGE_COLORS,
+        saveDevelopersSection,
+        loadDevelopersSection,
+        getSpokenLanguageName,
+        saveSpokenLanguage,
+        loadSpokenLanguage,
+        saveSpokenLanguageOverrides,
+        loadSpokenLanguageOverrides,
+        saveBackgroundRefresh,
+        loadBackgroundRefresh,
+        saveHideSeenRepos,
+        loadHideSeenRepos,
+        saveShowCombinedFeed,
+        loadShowCombinedFeed,
+        saveSectionSortOrders,
+        loadSectionSortOrders,
+        saveApiEnrichment,
+        loadApiEnrichment,
+        saveLanguageCatalog,
+        loadLanguageCatalog,
+        saveLanguageColorOverrides,
+        loadLanguageColorOverrides,
+        saveWebhook,
+        loadWebhook,
+        saveLanguageProfiles,
+        loadLanguageProfiles,
         AVAILABLE_LANGUAGES,
-        DEFAULT_SELECTED_LANGUAGES
+        DEFAULT_SELECTED_LANGUAGES,
+        DEFAULT_DEVELOPERS_SECTION,
+        SPOKEN_LANGUAGES,
+        SETTINGS_KEYS,
+        DEFAULT_BACKGROUND_REFRESH,
+        DEFAULT_API_ENRICHMENT,
+        DEFAULT_LANGUAGE_COLOR,
+        DEFAULT_WEBHOOK
     };
 }
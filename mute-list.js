@@ -0,0 +1,96 @@
+// Mute List Module
+// Handles user-defined rules that hide repositories, owners or description keywords from the trending sections
+
+class MuteList {
+    constructor() {
+        this.storageKey = 'mute_rules';
+        this.rules = [];
+        this.types = {
+            full_name: 'Repository',
+            owner: 'Owner',
+            keyword: 'Description keyword'
+        };
+    }
+
+    // Load rules from storage
+    async load() {
+        this.rules = await new Promise(resolve => {
+            chrome.storage.local.get(this.storageKey, result => {
+                resolve(result[this.storageKey] || []);
+            });
+        });
+        return this.rules;
+    }
+
+    // Save rules to storage
+    async save() {
+        return new Promise(resolve => {
+            chrome.storage.local.set({
+                [this.storageKey]: this.rules
+            }, resolve);
+        });
+    }
+
+    // Add a rule; repositories and owners match exactly (ignoring case), keywords when every word appears
+    async addRule(type, value) {
+        const trimmed = (value || '').trim();
+        if (!trimmed) {
+            throw new Error('Mute rule cannot be empty');
+        }
+        if (!this.types[type]) {
+            throw new Error(`Unknown mute type "${type}"`);
+        }
+        if (type === 'full_name' && !/^[^/\s]+\/[^/\s]+$/.test(trimmed)) {
+            throw new Error('Repositories are muted as owner/name');
+        }
+        if (type === 'owner' && /[/\s]/.test(trimmed)) {
+            throw new Error('Owners are muted by their user or organization name');
+        }
+        if (this.rules.some(rule => rule.type === type && rule.value.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error('Already muted');
+        }
+
+        const rule = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            type,
+            value: trimmed
+        };
+        this.rules.push(rule);
+        await this.save();
+        return rule;
+    }
+
+    // Remove a rule
+    async removeRule(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        await this.save();
+    }
+
+    // Check whether a single rule matches a repository
+    ruleMatches(rule, repo) {
+        const value = rule.value.toLowerCase();
+        if (rule.type === 'full_name') {
+            return repo.full_name.toLowerCase() === value;
+        }
+        if (rule.type === 'owner') {
+            return (repo.owner || repo.full_name.split('/')[0]).toLowerCase() === value;
+        }
+        const description = (repo.description || '').toLowerCase();
+        return value.split(/\s+/).every(word => description.includes(word));
+    }
+
+    // Get the first rule that mutes a repository, or null
+    matchRepo(repo) {
+        return this.rules.find(rule => this.ruleMatches(rule, repo)) || null;
+    }
+
+    // Describe a rule for menus and lists
+    describeRule(rule) {
+        return rule.type === 'keyword' ? `"${rule.value}"` : rule.value;
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.MuteList = MuteList;
+}
@@ -0,0 +1,15 @@
+// Offscreen Document Module
+// Parses trending HTML for the service worker, which has no DOMParser
+
+const offscreenParser = new DataFetcher(null);
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.target !== 'offscreen') {
+        return false;
+    }
+
+    if (message.type === 'parse-trending-html') {
+        sendResponse(offscreenParser.parseTrendingPage(message.html));
+    }
+    return false;
+});
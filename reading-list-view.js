@@ -0,0 +1,153 @@
+// Reading List View Module
+// Handles the reading list modal: filtering, sorting and editing saved repositories
+
+class ReadingListView {
+    constructor(readingList, uiComponents) {
+        this.readingList = readingList;
+        this.ui = uiComponents;
+        this.onClose = null;
+        this.initializeModal();
+    }
+
+    // Initialize reading list modal
+    initializeModal() {
+        const readingListBtn = document.getElementById('reading-list-btn');
+        const readingListModal = document.getElementById('reading-list-modal');
+        const closeReadingList = document.getElementById('close-reading-list');
+        this.searchInput = document.getElementById('reading-list-search');
+        this.tagSelect = document.getElementById('reading-list-tag');
+        this.statusSelect = document.getElementById('reading-list-status');
+        this.sortSelect = document.getElementById('reading-list-sort');
+        this.content = document.getElementById('reading-list-content');
+
+        this.sortSelect.innerHTML = Object.entries(this.readingList.sortOptions).map(([value, label]) =>
+            `<option value="${value}">${label}</option>`
+        ).join('');
+
+        // Open reading list modal
+        readingListBtn.addEventListener('click', async () => {
+            await this.readingList.load();
+            this.populateTags();
+            this.render();
+            readingListModal.classList.remove('hidden');
+        });
+
+        // Close reading list modal
+        const closeModal = () => {
+            readingListModal.classList.add('hidden');
+            if (this.onClose) {
+                this.onClose();
+            }
+        };
+
+        closeReadingList.addEventListener('click', closeModal);
+
+        // Close modal when clicking outside
+        readingListModal.addEventListener('click', (e) => {
+            if (e.target === readingListModal) {
+                closeModal();
+            }
+        });
+
+        this.searchInput.addEventListener('input', () => this.render());
+        this.tagSelect.addEventListener('change', () => this.render());
+        this.statusSelect.addEventListener('change', () => this.render());
+        this.sortSelect.addEventListener('change', () => this.render());
+    }
+
+    // Set callback for when the modal closes (items may have been removed)
+    setCloseCallback(callback) {
+        this.onClose = callback;
+    }
+
+    // Fill the tag filter with every tag in use
+    populateTags() {
+        const previous = this.tagSelect.value;
+        const tags = this.readingList.getTags();
+        this.tagSelect.innerHTML = [
+            '<option value="">All tags</option>',
+            ...tags.map(tag => `<option value="${this.ui.escapeHTML(tag)}">${this.ui.escapeHTML(tag)}</option>`)
+        ].join('');
+        this.tagSelect.value = tags.includes(previous) ? previous : '';
+    }
+
+    // Render saved repositories matching the filters
+    render() {
+        const items = this.readingList.getItems({
+            query: this.searchInput.value,
+            tag: this.tagSelect.value,
+            status: this.statusSelect.value,
+            sortBy: this.sortSelect.value
+        });
+
+        if (items.length === 0) {
+            this.content.innerHTML = this.readingList.items.size === 0 ?
+                '<p class="text-gray-500 text-center py-8">Your reading list is empty. Use the bookmark button on any repository card to save it.</p>' :
+                '<p class="text-gray-500 text-center py-8">No saved repositories match these filters.</p>';
+            return;
+        }
+
+        this.content.innerHTML = '';
+        items.forEach(item => this.content.appendChild(this.createItem(item)));
+    }
+
+    // Create an editable reading list entry
+    createItem(item) {
+        const entry = document.createElement('div');
+        entry.className = `repo-card rounded-lg p-4 ${item.reviewed ? 'bg-white opacity-75' : 'bg-gray-50'}`;
+
+        entry.innerHTML = `
+            <div class="flex items-start justify-between">
+                <div class="flex-1">
+                    <a href="${this.ui.escapeHTML(item.html_url)}" target="_blank" class="text-lg font-medium text-blue-600 hover:text-blue-800">
+                        ${this.ui.escapeHTML(item.full_name)}
+                    </a>
+                    <p class="text-gray-600 text-sm mt-1">${this.ui.escapeHTML(item.description) || 'No description available'}</p>
+                    <p class="text-xs text-gray-500 mt-1">
+                        ${item.language ? `${this.ui.escapeHTML(item.language)} &middot; ` : ''}${item.stargazers_count.toLocaleString()} stars &middot; saved ${new Date(item.savedAt).toLocaleDateString()}
+                    </p>
+                </div>
+                <div class="flex items-center ml-3 flex-shrink-0">
+                    <label class="flex items-center text-sm text-gray-600 mr-3 cursor-pointer">
+                        <input type="checkbox" class="reading-list-reviewed mr-1" ${item.reviewed ? 'checked' : ''}>
+                        Reviewed
+                    </label>
+                    <button class="reading-list-remove text-red-500 hover:text-red-700 text-xs" title="Remove from reading list">✕</button>
+                </div>
+            </div>
+            <input type="text" class="reading-list-tags w-full mt-3 px-3 py-1 border border-gray-300 rounded-md text-sm"
+                   placeholder="Tags, comma separated" value="${this.ui.escapeHTML(item.tags.join(', '))}">
+            <textarea class="reading-list-notes w-full mt-2 px-3 py-2 border border-gray-300 rounded-md text-sm" rows="2"
+                      placeholder="Notes">${this.ui.escapeHTML(item.notes)}</textarea>
+        `;
+
+        entry.querySelector('.reading-list-reviewed').addEventListener('change', async (e) => {
+            await this.readingList.update(item.full_name, { reviewed: e.target.checked });
+            this.render();
+        });
+
+        entry.querySelector('.reading-list-tags').addEventListener('change', async (e) => {
+            await this.readingList.update(item.full_name, { tags: e.target.value.split(',') });
+            this.populateTags();
+        });
+
+        entry.querySelector('.reading-list-notes').addEventListener('change', async (e) => {
+            await this.readingList.update(item.full_name, { notes: e.target.value });
+        });
+
+        entry.querySelector('.reading-list-remove').addEventListener('click', async () => {
+            if (confirm(`Remove "${item.full_name}" from your reading list?`)) {
+                await this.readingList.remove(item.full_name);
+                this.populateTags();
+                this.render();
+            }
+        });
+
+        return entry;
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.ReadingListView = ReadingListView;
+}
@@ -0,0 +1,128 @@
+// Reading List Module
+// Handles saved repositories with tags, notes and a reviewed state
+
+class ReadingList {
+    constructor() {
+        this.storageKey = 'reading_list';
+        this.items = new Map(); // full_name -> item
+        this.sortOptions = {
+            savedAt: 'Recently saved',
+            full_name: 'Name',
+            stargazers_count: 'Most stars'
+        };
+    }
+
+    // Load saved items from storage
+    async load() {
+        const stored = await new Promise(resolve => {
+            chrome.storage.local.get(this.storageKey, result => {
+                resolve(result[this.storageKey] || []);
+            });
+        });
+        this.items = new Map(stored.map(item => [item.full_name, item]));
+        return this.items;
+    }
+
+    // Save items to storage
+    async save() {
+        return new Promise(resolve => {
+            chrome.storage.local.set({
+                [this.storageKey]: Array.from(this.items.values())
+            }, resolve);
+        });
+    }
+
+    // Check whether a repository is saved
+    has(fullName) {
+        return this.items.has(fullName);
+    }
+
+    // Save a repository's metadata so it outlives its time on trending
+    async add(repo) {
+        if (this.items.has(repo.full_name)) {
+            return this.items.get(repo.full_name);
+        }
+
+        const item = {
+            full_name: repo.full_name,
+            description: repo.description || '',
+            html_url: repo.html_url,
+            language: repo.language || '',
+            owner: repo.owner,
+            avatar_url: repo.avatar_url,
+            stargazers_count: repo.stargazers_count || 0,
+            forks_count: repo.forks_count || 0,
+            savedAt: Date.now(),
+            tags: [],
+            notes: '',
+            reviewed: false
+        };
+        this.items.set(item.full_name, item);
+        await this.save();
+        return item;
+    }
+
+    // Remove a repository
+    async remove(fullName) {
+        this.items.delete(fullName);
+        await this.save();
+    }
+
+    // Save or remove a repository, returning whether it is now saved
+    async toggle(repo) {
+        if (this.has(repo.full_name)) {
+            await this.remove(repo.full_name);
+            return false;
+        }
+        await this.add(repo);
+        return true;
+    }
+
+    // Update tags, notes or reviewed state of a saved repository
+    async update(fullName, changes) {
+        const item = this.items.get(fullName);
+        if (!item) {
+            throw new Error(`${fullName} is not in the reading list`);
+        }
+        if (changes.tags) {
+            changes.tags = [...new Set(changes.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+        }
+        Object.assign(item, changes);
+        await this.save();
+        return item;
+    }
+
+    // Get every tag in use, sorted
+    getTags() {
+        const tags = new Set();
+        this.items.forEach(item => item.tags.forEach(tag => tags.add(tag)));
+        return Array.from(tags).sort();
+    }
+
+    // Get items matching the filters, sorted
+    // filters: { query, tag, status: 'all' | 'unreviewed' | 'reviewed', sortBy }
+    getItems(filters = {}) {
+        const query = (filters.query || '').trim().toLowerCase();
+        const items = Array.from(this.items.values()).filter(item => {
+            if (filters.tag && !item.tags.includes(filters.tag)) return false;
+            if (filters.status === 'reviewed' && !item.reviewed) return false;
+            if (filters.status === 'unreviewed' && item.reviewed) return false;
+            if (query) {
+                const text = `${item.full_name} ${item.description} ${item.notes} ${item.tags.join(' ')}`.toLowerCase();
+                if (!text.includes(query)) return false;
+            }
+            return true;
+        });
+
+        const sortBy = filters.sortBy || 'savedAt';
+        return items.sort((a, b) => {
+            if (sortBy === 'full_name') return a.full_name.localeCompare(b.full_name);
+            return b[sortBy] - a[sortBy];
+        });
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.ReadingList = ReadingList;
+}
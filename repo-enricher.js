@@ -0,0 +1,208 @@
+// Repository Enricher Module
+// Looks up repository metadata the trending page lacks through the GitHub REST API, with caching and rate-limit handling
+
+class RepoEnricher {
+    constructor(options = {}) {
+        this.storageKey = 'repo_metadata';
+        this.ttl = options.ttl || 24 * 60 * 60 * 1000; // Metadata changes slowly; refresh daily
+        this.batchSize = options.batchSize || 5; // Requests in flight at once
+        this.timeout = 10000;
+        this.scheduler = options.scheduler || new RequestScheduler();
+        this.persistDelay = 1000;
+        this.settings = { ...window.LanguageSettings.DEFAULT_API_ENRICHMENT };
+        this.entries = {}; // full_name -> { data, etag, timestamp }; data is null for repos the API doesn't know
+        this.pending = new Map(); // full_name -> in-flight lookup
+        this.rateLimit = { limit: null, remaining: null, resetAt: 0 };
+        this.loadPromise = null;
+        this.persistTimer = null;
+    }
+
+    // Apply enrichment settings ({ enabled, token, apiBaseUrl })
+    configure(settings) {
+        const baseChanged = settings.apiBaseUrl !== this.settings.apiBaseUrl;
+        this.settings = { ...this.settings, ...settings };
+        if (baseChanged && this.loadPromise) {
+            // Metadata from another API (e.g. a mock server) must not leak into this one
+            this.entries = {};
+            this.rateLimit = { limit: null, remaining: null, resetAt: 0 };
+            this.schedulePersist();
+        }
+    }
+
+    // Load cached metadata from storage (once)
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = new Promise(resolve => {
+                chrome.storage.local.get(this.storageKey, result => {
+                    const stored = result[this.storageKey] || {};
+                    this.entries = stored.apiBaseUrl === this.settings.apiBaseUrl ? stored.entries || {} : {};
+                    resolve();
+                });
+            });
+        }
+        return this.loadPromise;
+    }
+
+    // Persist cached metadata shortly after changes
+    schedulePersist() {
+        clearTimeout(this.persistTimer);
+        this.persistTimer = setTimeout(() => {
+            chrome.storage.local.set({
+                [this.storageKey]: { apiBaseUrl: this.settings.apiBaseUrl, entries: this.entries }
+            });
+        }, this.persistDelay);
+    }
+
+    // Get cached metadata for a repository, fresh or not
+    getCached(fullName) {
+        const entry = this.entries[fullName];
+        return entry ? entry.data : null;
+    }
+
+    // Check whether cached metadata is recent enough to skip the API
+    isFresh(fullName) {
+        const entry = this.entries[fullName];
+        return Boolean(entry) && Date.now() - entry.timestamp < this.ttl;
+    }
+
+    // Check whether the API told us to wait
+    isRateLimited() {
+        return this.rateLimit.remaining === 0 && Date.now() < this.rateLimit.resetAt;
+    }
+
+    // Record rate-limit headers from an API response
+    updateRateLimit(response) {
+        const limit = response.headers.get('X-RateLimit-Limit');
+        const remaining = response.headers.get('X-RateLimit-Remaining');
+        const reset = response.headers.get('X-RateLimit-Reset');
+        const retryAfter = response.headers.get('Retry-After');
+
+        if (limit !== null) this.rateLimit.limit = parseInt(limit, 10);
+        if (remaining !== null) this.rateLimit.remaining = parseInt(remaining, 10);
+        if (reset !== null) this.rateLimit.resetAt = parseInt(reset, 10) * 1000;
+
+        // Secondary rate limits only send Retry-After
+        if (retryAfter !== null) {
+            this.rateLimit.remaining = 0;
+            this.rateLimit.resetAt = Date.now() + parseInt(retryAfter, 10) * 1000;
+        }
+    }
+
+    // Keep only the fields shown on cards
+    pickFields(repo) {
+        return {
+            topics: repo.topics || [],
+            license: repo.license ? (repo.license.spdx_id && repo.license.spdx_id !== 'NOASSERTION' ? repo.license.spdx_id : repo.license.name) : null,
+            created_at: repo.created_at,
+            pushed_at: repo.pushed_at,
+            open_issues_count: repo.open_issues_count,
+            archived: Boolean(repo.archived)
+        };
+    }
+
+    // Send a GitHub REST API request with the configured token, recording rate-limit headers
+    async request(path, options = {}) {
+        const headers = {
+            'Accept': 'application/vnd.github+json',
+            'X-GitHub-Api-Version': '2022-11-28',
+            ...options.headers
+        };
+        if (this.settings.token) {
+            headers['Authorization'] = `Bearer ${this.settings.token}`;
+        }
+
+        // Not merged with identical requests: each caller reads its own response body
+        return this.scheduler.schedule(null, async (signal) => {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+            signal.addEventListener('abort', () => controller.abort());
+            try {
+                const base = this.settings.apiBaseUrl.replace(/\/+$/, '');
+                const response = await fetch(`${base}${path}`, { ...options, headers, signal: controller.signal });
+                this.updateRateLimit(response);
+                if (response.status === 429 || response.status >= 500) {
+                    throw this.scheduler.createHttpError(response);
+                }
+                return response;
+            } finally {
+                clearTimeout(timeoutId);
+            }
+        });
+    }
+
+    // Look up one repository, reusing the cached copy when the API reports it unchanged
+    async fetchRepo(fullName) {
+        const entry = this.entries[fullName];
+        // Conditional requests answered with 304 don't count against the rate limit
+        const response = await this.request(`/repos/${fullName}`, {
+            headers: entry && entry.etag ? { 'If-None-Match': entry.etag } : {}
+        });
+
+        if (response.status === 304 && entry) {
+            entry.timestamp = Date.now();
+        } else if (response.ok) {
+            this.entries[fullName] = {
+                data: this.pickFields(await response.json()),
+                etag: response.headers.get('ETag'),
+                timestamp: Date.now()
+            };
+        } else if (response.status === 404) {
+            // Renamed or removed; don't ask again until the entry expires
+            this.entries[fullName] = { data: null, etag: null, timestamp: Date.now() };
+        } else if (response.status === 429 || (response.status === 403 && this.rateLimit.remaining === 0)) {
+            if (!this.isRateLimited()) {
+                // Rate limited without usable headers; back off for a minute
+                this.rateLimit.remaining = 0;
+                this.rateLimit.resetAt = Date.now() + 60 * 1000;
+            }
+            throw new Error(`GitHub API rate limit reached (status ${response.status})`);
+        } else {
+            throw new Error(`GitHub API error! status: ${response.status}`);
+        }
+
+        this.schedulePersist();
+        return this.getCached(fullName);
+    }
+
+    // Look up a repository once, however many callers ask at the same time
+    lookup(fullName) {
+        if (!this.pending.has(fullName)) {
+            const promise = this.fetchRepo(fullName).finally(() => this.pending.delete(fullName));
+            this.pending.set(fullName, promise);
+        }
+        return this.pending.get(fullName);
+    }
+
+    // Get metadata for repositories, fetching stale or missing ones in batches
+    // Returns a Map of full_name -> metadata for every repository with metadata available
+    async enrich(fullNames) {
+        if (!this.settings.enabled) return new Map();
+        await this.load();
+
+        const names = [...new Set(fullNames)];
+        const toFetch = names.filter(name => !this.isFresh(name));
+
+        for (let i = 0; i < toFetch.length; i += this.batchSize) {
+            if (this.isRateLimited()) {
+                console.warn(`GitHub API rate limit reached; enrichment resumes at ${new Date(this.rateLimit.resetAt).toLocaleTimeString()}`);
+                break;
+            }
+            const batch = toFetch.slice(i, i + this.batchSize);
+            await Promise.all(batch.map(name => this.lookup(name).catch(error => {
+                console.error(`Error enriching ${name}:`, error);
+            })));
+        }
+
+        const results = new Map();
+        names.forEach(name => {
+            const data = this.getCached(name);
+            if (data) results.set(name, data);
+        });
+        return results;
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.RepoEnricher = RepoEnricher;
+}
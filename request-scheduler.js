@@ -0,0 +1,182 @@
+// Request Scheduler Module
+// Runs every network request under one concurrency cap, merging identical requests and backing off on 429/5xx
+
+class RequestScheduler {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 4;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.baseDelay = options.baseDelay || 1000; // Doubles with every retry
+        this.maxDelay = options.maxDelay || 60000;
+        this.queue = [];
+        this.entries = new Set(); // Queued, running and waiting-to-retry requests
+        this.inFlight = new Map(); // Key -> entry, for merging identical requests
+        this.active = 0;
+        this.pausedUntil = 0; // Set by 429 responses; no request starts before then
+        this.pauseTimer = null;
+    }
+
+    // Build an error for a failed HTTP response, keeping what backoff needs
+    createHttpError(response) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        error.retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+        return error;
+    }
+
+    // Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+    parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    // Too many requests and server errors are worth retrying
+    isRetryable(error) {
+        return error.status === 429 || error.status >= 500;
+    }
+
+    // Exponential backoff with a little jitter, unless the server said how long to wait
+    getRetryDelay(error, attempt) {
+        if (error.retryAfter !== null && error.retryAfter !== undefined) {
+            return Math.min(error.retryAfter, this.maxDelay);
+        }
+        return Math.min(this.baseDelay * 2 ** attempt, this.maxDelay) + Math.random() * 250;
+    }
+
+    // Run task(signal) once a slot is free and return its result
+    // Requests with the same key share one run while in flight; options.group tags the
+    // caller (e.g. a section) so cancelGroup can drop requests nobody else needs
+    schedule(key, task, options = {}) {
+        const group = options.group || null;
+
+        const existing = key && this.inFlight.get(key);
+        if (existing) {
+            this.addCaller(existing, group);
+            return existing.promise;
+        }
+
+        const entry = {
+            key,
+            task,
+            groups: new Set(),
+            pinned: false, // A caller without a group can't be cancelled
+            attempts: 0,
+            controller: null,
+            timer: null,
+            settled: false
+        };
+        entry.promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+        this.addCaller(entry, group);
+
+        this.entries.add(entry);
+        if (key) this.inFlight.set(key, entry);
+        this.queue.push(entry);
+        this.pump();
+        return entry.promise;
+    }
+
+    addCaller(entry, group) {
+        if (group) {
+            entry.groups.add(group);
+        } else {
+            entry.pinned = true;
+        }
+    }
+
+    // Start queued requests while slots are free
+    pump() {
+        const wait = this.pausedUntil - Date.now();
+        if (wait > 0) {
+            if (!this.pauseTimer) {
+                this.pauseTimer = setTimeout(() => {
+                    this.pauseTimer = null;
+                    this.pump();
+                }, wait);
+            }
+            return;
+        }
+
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            this.run(this.queue.shift());
+        }
+    }
+
+    async run(entry) {
+        this.active++;
+        entry.controller = new AbortController();
+        try {
+            const value = await entry.task(entry.controller.signal);
+            this.settle(entry, () => entry.resolve(value));
+        } catch (error) {
+            if (entry.settled) return;
+
+            if (this.isRetryable(error) && entry.attempts < this.maxRetries) {
+                const delay = this.getRetryDelay(error, entry.attempts);
+                entry.attempts++;
+                if (error.status === 429) {
+                    // The server is rate limiting everyone, so hold back every request
+                    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+                }
+                console.warn(`Request failed with status ${error.status}, retry ${entry.attempts} in ${Math.round(delay)}ms`);
+                entry.timer = setTimeout(() => {
+                    entry.timer = null;
+                    this.queue.unshift(entry);
+                    this.pump();
+                }, delay);
+            } else {
+                this.settle(entry, () => entry.reject(error));
+            }
+        } finally {
+            this.active--;
+            this.pump();
+        }
+    }
+
+    // Resolve or reject once and forget the entry
+    settle(entry, callback) {
+        if (entry.settled) return;
+        entry.settled = true;
+        this.entries.delete(entry);
+        if (entry.key && this.inFlight.get(entry.key) === entry) {
+            this.inFlight.delete(entry.key);
+        }
+        callback();
+    }
+
+    // Abort a request and reject it with a CancelError
+    cancelEntry(entry) {
+        const index = this.queue.indexOf(entry);
+        if (index !== -1) this.queue.splice(index, 1);
+        clearTimeout(entry.timer);
+        if (entry.controller) entry.controller.abort();
+
+        const error = new Error('Request cancelled');
+        error.name = 'CancelError';
+        this.settle(entry, () => entry.reject(error));
+    }
+
+    // Cancel requests made for a group (e.g. a removed section) unless another caller still needs them
+    cancelGroup(group) {
+        Array.from(this.entries).forEach(entry => {
+            if (!entry.groups.delete(group)) return;
+            if (!entry.pinned && entry.groups.size === 0) {
+                this.cancelEntry(entry);
+            }
+        });
+    }
+
+    // Cancel every pending request
+    cancelAll() {
+        Array.from(this.entries).forEach(entry => this.cancelEntry(entry));
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.RequestScheduler = RequestScheduler;
+}
@@ -2,9 +2,15 @@
 // Handles settings modal and language management
 
 class SettingsManager {
-    constructor(uiComponents) {
+    constructor(uiComponents, watchRules, languageCatalog, webhookDispatcher, muteList, languageProfiles) {
         this.ui = uiComponents;
+        this.watchRules = watchRules;
+        this.languageCatalog = languageCatalog;
+        this.webhookDispatcher = webhookDispatcher;
+        this.muteList = muteList;
+        this.languageProfiles = languageProfiles;
         this.currentSelectedLanguages = [];
+        this.onRulesChange = null;
         this.initializeModal();
     }
 
@@ -17,11 +23,79 @@ class SettingsManager {
         const saveSettings = document.getElementById('save-settings');
         const resetSettings = document.getElementById('reset-settings');
         const languageCheckboxes = document.getElementById('language-checkboxes');
+        const settingsProfileName = document.getElementById('settings-profile-name');
+        const sectionOrderList = document.getElementById('section-order-list');
         const customLanguageInput = document.getElementById('custom-language-input');
+        const customLanguageOptions = document.getElementById('custom-language-options');
+        const languageColorInput = document.getElementById('language-color-input');
+        const languageColorOptions = document.getElementById('language-color-options');
+        const languageColorPicker = document.getElementById('language-color-picker');
+        const setLanguageColorBtn = document.getElementById('set-language-color');
+        const languageColorList = document.getElementById('language-color-list');
         const addCustomLanguageBtn = document.getElementById('add-custom-language');
+        const showDevelopersCheckbox = document.getElementById('show-developers');
+        const hideSeenCheckbox = document.getElementById('hide-seen-repos');
+        const showCombinedFeedCheckbox = document.getElementById('show-combined-feed');
+        const spokenLanguageSelect = document.getElementById('spoken-language-select');
+        const backgroundRefreshEnabled = document.getElementById('background-refresh-enabled');
+        const backgroundRefreshInterval = document.getElementById('background-refresh-interval');
+        const backgroundRefreshTopN = document.getElementById('background-refresh-top-n');
+        const backgroundRefreshMaxNotifications = document.getElementById('background-refresh-max-notifications');
+        const backgroundRefreshMinInterval = document.getElementById('background-refresh-min-interval');
+        const apiEnrichmentEnabled = document.getElementById('api-enrichment-enabled');
+        const apiEnrichmentToken = document.getElementById('api-enrichment-token');
+        const apiEnrichmentBaseUrl = document.getElementById('api-enrichment-base-url');
+        const webhookEnabled = document.getElementById('webhook-enabled');
+        const webhookUrl = document.getElementById('webhook-url');
+        const webhookFormat = document.getElementById('webhook-format');
+        const webhookSecret = document.getElementById('webhook-secret');
+        const webhookSectionFilters = document.getElementById('webhook-section-filters');
+        const webhookTemplate = document.getElementById('webhook-template');
+        const webhookTestBtn = document.getElementById('webhook-test');
+        const webhookDeliverNowBtn = document.getElementById('webhook-deliver-now');
+        const webhookRetryNowBtn = document.getElementById('webhook-retry-now');
+        const webhookClearLogBtn = document.getElementById('webhook-clear-log');
+        const webhookLog = document.getElementById('webhook-log');
+        const watchRuleInput = document.getElementById('watch-rule-input');
+        const watchRuleField = document.getElementById('watch-rule-field');
+        const watchRuleRegex = document.getElementById('watch-rule-regex');
+        const addWatchRuleBtn = document.getElementById('add-watch-rule');
+        const watchRuleList = document.getElementById('watch-rule-list');
+        const muteRuleInput = document.getElementById('mute-rule-input');
+        const muteRuleType = document.getElementById('mute-rule-type');
+        const addMuteRuleBtn = document.getElementById('add-mute-rule');
+        const muteRuleList = document.getElementById('mute-rule-list');
+
+        // Populate watch rule field options
+        watchRuleField.innerHTML = Object.entries(this.watchRules.fields).map(([field, label]) =>
+            `<option value="${field}">${label}</option>`
+        ).join('');
+
+        // Populate mute rule type options
+        muteRuleType.innerHTML = Object.entries(this.muteList.types).map(([type, label]) =>
+            `<option value="${type}">${label}</option>`
+        ).join('');
+
+        // Populate webhook format options
+        webhookFormat.innerHTML = Object.entries(this.webhookDispatcher.formats).map(([format, label]) =>
+            `<option value="${format}">${label}</option>`
+        ).join('');
+
+        // Populate spoken language options
+        spokenLanguageSelect.innerHTML = [
+            '<option value="">Any spoken language</option>',
+            ...window.LanguageSettings.SPOKEN_LANGUAGES.map(item =>
+                `<option value="${item.code}">${item.name}</option>`
+            )
+        ].join('');
+
+        // Selected languages in section order, and the profile's default time range per section key
+        let sectionOrder = [];
+        let profileTimeRanges = {};
 
         // Populate language checkboxes
         const populateLanguageCheckboxes = async (selectedLanguages) => {
+            sectionOrder = [...selectedLanguages];
             languageCheckboxes.innerHTML = '';
             const availableLanguages = await window.LanguageSettings.getAvailableLanguages();
             const customLanguages = await window.LanguageSettings.loadCustomLanguages();
@@ -37,7 +111,7 @@ class SettingsManager {
                     <div class="flex items-center">
                         <input type="checkbox" id="lang-${language}" class="mr-2" ${isChecked ? 'checked' : ''}>
                         <label for="lang-${language}" class="flex items-center cursor-pointer text-sm">
-                            <span class="language-dot mr-2 ${this.ui.getLanguageClass(language)}"></span>
+                            ${this.ui.createLanguageDotHTML(language, 'language-dot mr-2')}
                             ${language}
                             ${isCustom ? '<span class="ml-1 text-xs text-blue-600">(custom)</span>' : ''}
                         </label>
@@ -64,9 +138,11 @@ class SettingsManager {
                     }
                 });
             });
+
+            populateSectionOrder();
         };
         
-        // Get currently selected languages from checkboxes
+        // Get currently selected languages from checkboxes, in section order (newly checked ones last)
         this.getCurrentSelectedLanguages = () => {
             const checkboxes = languageCheckboxes.querySelectorAll('input[type="checkbox"]');
             const selected = [];
@@ -76,16 +152,468 @@ class SettingsManager {
                     selected.push(language);
                 }
             });
-            return selected;
+            return [
+                ...sectionOrder.filter(language => selected.includes(language)),
+                ...selected.filter(language => !sectionOrder.includes(language))
+            ];
+        };
+
+        // Render the selected languages in section order with their default time ranges
+        const populateSectionOrder = () => {
+            sectionOrder = this.getCurrentSelectedLanguages();
+            const timeRangeSelect = (sectionKey) => `
+                <select class="section-time-range px-2 py-1 border border-gray-300 rounded-md bg-white text-xs" data-section="${this.ui.escapeHTML(sectionKey)}">
+                    ${this.ui.timeRanges.map(range =>
+                        `<option value="${range}" ${(profileTimeRanges[sectionKey] || 'daily') === range ? 'selected' : ''}>${this.ui.timeRangeLabels[range]}</option>`
+                    ).join('')}
+                </select>
+            `;
+            const moveButton = (index, offset, label, disabled) => `
+                <button class="move-section px-1 text-gray-500 hover:text-gray-800 ${disabled ? 'opacity-30' : ''}"
+                        data-index="${index}" data-offset="${offset}" title="${label}" ${disabled ? 'disabled' : ''}>
+                    ${offset < 0 ? '↑' : '↓'}
+                </button>
+            `;
+
+            sectionOrderList.innerHTML = [
+                `<li class="flex items-center justify-between">
+                    <span class="text-gray-700 ml-12">Overall Trending</span>
+                    ${timeRangeSelect('all')}
+                </li>`,
+                ...sectionOrder.map((language, index) => `
+                    <li class="flex items-center justify-between">
+                        <span class="flex items-center">
+                            ${moveButton(index, -1, 'Move up', index === 0)}
+                            ${moveButton(index, 1, 'Move down', index === sectionOrder.length - 1)}
+                            ${this.ui.createLanguageDotHTML(language, 'language-dot mx-2')}
+                            ${this.ui.escapeHTML(language)}
+                        </span>
+                        ${timeRangeSelect(language)}
+                    </li>
+                `)
+            ].join('');
+        };
+
+        sectionOrderList.addEventListener('click', (e) => {
+            const button = e.target.closest('.move-section');
+            if (!button) return;
+            const index = parseInt(button.dataset.index, 10);
+            const target = index + parseInt(button.dataset.offset, 10);
+            [sectionOrder[index], sectionOrder[target]] = [sectionOrder[target], sectionOrder[index]];
+            populateSectionOrder();
+        });
+        sectionOrderList.addEventListener('change', (e) => {
+            if (e.target.classList.contains('section-time-range')) {
+                profileTimeRanges[e.target.dataset.section] = e.target.value;
+            }
+        });
+        languageCheckboxes.addEventListener('change', populateSectionOrder);
+
+        // Read the default time ranges of the selected sections
+        const getSectionTimeRanges = () => {
+            const timeRanges = {};
+            ['all', ...sectionOrder].forEach(sectionKey => {
+                if (profileTimeRanges[sectionKey]) {
+                    timeRanges[sectionKey] = profileTimeRanges[sectionKey];
+                }
+            });
+            return timeRanges;
+        };
+
+        // Fill background refresh inputs from settings
+        const populateBackgroundRefresh = (backgroundRefresh) => {
+            backgroundRefreshEnabled.checked = backgroundRefresh.enabled;
+            backgroundRefreshInterval.value = String(backgroundRefresh.intervalMinutes);
+            backgroundRefreshTopN.value = backgroundRefresh.topN;
+            backgroundRefreshMaxNotifications.value = backgroundRefresh.maxNotificationsPerRefresh;
+            backgroundRefreshMinInterval.value = backgroundRefresh.minMinutesBetweenNotifications;
+        };
+
+        // Read background refresh inputs, falling back to defaults for invalid numbers
+        const getBackgroundRefresh = () => {
+            const defaults = window.LanguageSettings.DEFAULT_BACKGROUND_REFRESH;
+            const readNumber = (input, fallback, min) => {
+                const value = parseInt(input.value, 10);
+                return Number.isNaN(value) || value < min ? fallback : value;
+            };
+            return {
+                enabled: backgroundRefreshEnabled.checked,
+                intervalMinutes: parseInt(backgroundRefreshInterval.value, 10),
+                topN: readNumber(backgroundRefreshTopN, defaults.topN, 1),
+                maxNotificationsPerRefresh: readNumber(backgroundRefreshMaxNotifications, defaults.maxNotificationsPerRefresh, 1),
+                minMinutesBetweenNotifications: readNumber(backgroundRefreshMinInterval, defaults.minMinutesBetweenNotifications, 0)
+            };
+        };
+
+        // Fill API enrichment inputs from settings
+        const populateApiEnrichment = (apiEnrichment) => {
+            apiEnrichmentEnabled.checked = apiEnrichment.enabled;
+            apiEnrichmentToken.value = apiEnrichment.token;
+            apiEnrichmentBaseUrl.value = apiEnrichment.apiBaseUrl;
+        };
+
+        // Read API enrichment inputs, falling back to the public API for an empty base URL
+        const getApiEnrichment = () => ({
+            enabled: apiEnrichmentEnabled.checked,
+            token: apiEnrichmentToken.value.trim(),
+            apiBaseUrl: apiEnrichmentBaseUrl.value.trim() || window.LanguageSettings.DEFAULT_API_ENRICHMENT.apiBaseUrl
+        });
+
+        // Webhook section filters being edited, including sections not shown right now
+        let webhookFilters = {};
+
+        // Keep the filters typed into the table
+        const readWebhookFilters = () => {
+            webhookSectionFilters.querySelectorAll('tr[data-section]').forEach(row => {
+                const minPeriodStars = parseInt(row.querySelector('.webhook-section-min').value, 10);
+                webhookFilters[row.dataset.section] = {
+                    enabled: row.querySelector('.webhook-section-enabled').checked,
+                    minPeriodStars: Number.isNaN(minPeriodStars) || minPeriodStars < 0 ? 0 : minPeriodStars
+                };
+            });
+            return { ...webhookFilters };
+        };
+
+        // Render a filter row for Overall Trending and every checked language
+        const populateWebhookFilters = () => {
+            const sectionKeys = ['all', ...this.getCurrentSelectedLanguages()];
+            webhookSectionFilters.innerHTML = sectionKeys.map(sectionKey => {
+                const filter = webhookFilters[sectionKey] || { enabled: true, minPeriodStars: 0 };
+                const label = sectionKey === 'all' ? 'Overall Trending' : sectionKey;
+                return `
+                    <tr data-section="${this.ui.escapeHTML(sectionKey)}" class="border-b border-gray-100">
+                        <td class="py-1 pr-4">${this.ui.escapeHTML(label)}</td>
+                        <td class="py-1 pr-4"><input type="checkbox" class="webhook-section-enabled" ${filter.enabled ? 'checked' : ''}></td>
+                        <td class="py-1">
+                            <input type="number" min="0" value="${filter.minPeriodStars}"
+                                   class="webhook-section-min w-24 px-2 py-1 border border-gray-300 rounded-md">
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+        };
+
+        // Follow the language checkboxes
+        languageCheckboxes.addEventListener('change', () => {
+            readWebhookFilters();
+            populateWebhookFilters();
+        });
+
+        // Fill webhook inputs from settings
+        const populateWebhook = (webhook) => {
+            webhookEnabled.checked = webhook.enabled;
+            webhookUrl.value = webhook.url;
+            webhookFormat.value = webhook.format;
+            webhookSecret.value = webhook.secret;
+            webhookTemplate.value = webhook.template;
+            webhookFilters = { ...webhook.sectionFilters };
+            populateWebhookFilters();
+        };
+
+        // Read webhook inputs
+        const getWebhook = () => ({
+            enabled: webhookEnabled.checked,
+            url: webhookUrl.value.trim(),
+            format: webhookFormat.value,
+            secret: webhookSecret.value,
+            template: webhookTemplate.value.trim(),
+            sectionFilters: readWebhookFilters()
+        });
+
+        // Check the webhook inputs, returning an error message or null
+        const validateWebhook = (webhook) => {
+            if (webhook.url) {
+                let url;
+                try {
+                    url = new URL(webhook.url);
+                } catch (error) {
+                    return `"${webhook.url}" is not a valid webhook URL`;
+                }
+                if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+                    return 'The webhook URL must start with https:// or http://';
+                }
+            } else if (webhook.enabled) {
+                return 'Enter a webhook URL or turn the webhook off';
+            }
+            return this.webhookDispatcher.validateTemplate(webhook.template);
+        };
+
+        // Ask for access to the webhook's host; must run before anything else is awaited in a click handler
+        const requestWebhookPermission = (webhook) => {
+            const url = new URL(webhook.url);
+            return chrome.permissions.request({ origins: [`${url.protocol}//${url.hostname}/*`] });
+        };
+
+        // Render the delivery log
+        const populateWebhookLog = async () => {
+            const log = await this.webhookDispatcher.getLog();
+            const queued = await this.webhookDispatcher.getQueueLength();
+            webhookRetryNowBtn.disabled = queued === 0;
+            webhookRetryNowBtn.textContent = queued > 0 ? `Retry queued (${queued})` : 'Retry queued';
+
+            if (log.length === 0) {
+                webhookLog.innerHTML = '<li class="text-gray-500">No deliveries yet.</li>';
+                return;
+            }
+
+            webhookLog.innerHTML = log.map(entry => `
+                <li class="flex justify-between gap-2">
+                    <span class="${entry.ok ? 'text-green-700' : 'text-red-700'}">
+                        ${entry.ok ? '✓' : '✕'} ${entry.event === 'test' ? 'Test' : `${entry.count} entries`}
+                        ${entry.ok ? `(HTTP ${entry.status})` : this.ui.escapeHTML(entry.error || '')}
+                        ${entry.attempt > 1 ? `<span class="text-gray-500">attempt ${entry.attempt}</span>` : ''}
+                        ${entry.nextAttemptAt ? `<span class="text-gray-500">retry at ${new Date(entry.nextAttemptAt).toLocaleTimeString()}</span>` : ''}
+                    </span>
+                    <span class="text-gray-500 flex-shrink-0">${new Date(entry.at).toLocaleString()}</span>
+                </li>
+            `).join('');
+        };
+
+        // Ask the service worker to do something with the webhook, then show the outcome in the log
+        const sendWebhookMessage = async (button, message) => {
+            button.disabled = true;
+            try {
+                const response = await chrome.runtime.sendMessage({ target: 'background', ...message });
+                if (!response || !response.ok) {
+                    alert(`Error: ${response ? response.error : 'No response from the background worker'}`);
+                } else if (message.type === 'refresh-now' && !response.result.delivery) {
+                    const { newEntries } = response.result;
+                    alert(newEntries > 0 ? 'New entries were found, but the webhook is off or its section filters left none to send.' : 'No new entries since the last refresh.');
+                }
+            } finally {
+                button.disabled = false;
+                await populateWebhookLog();
+            }
+        };
+
+        webhookTestBtn.addEventListener('click', async () => {
+            const webhook = getWebhook();
+            const error = webhook.url ? validateWebhook(webhook) : 'Enter a webhook URL first';
+            if (error) {
+                alert(error);
+                return;
+            }
+            if (!await requestWebhookPermission(webhook)) {
+                alert('The extension needs access to the webhook\'s host to post to it.');
+                return;
+            }
+            await sendWebhookMessage(webhookTestBtn, { type: 'webhook-test', settings: webhook });
+        });
+        webhookDeliverNowBtn.addEventListener('click', () => {
+            sendWebhookMessage(webhookDeliverNowBtn, { type: 'refresh-now' });
+        });
+        webhookRetryNowBtn.addEventListener('click', () => {
+            sendWebhookMessage(webhookRetryNowBtn, { type: 'webhook-retry-now' });
+        });
+        webhookClearLogBtn.addEventListener('click', async () => {
+            await this.webhookDispatcher.clearLog();
+            await populateWebhookLog();
+        });
+
+        // Color overrides being edited; saved with the other settings
+        let languageColors = {};
+
+        // Find a language with a known color or in the language list, ignoring case
+        const findColorLanguage = async (name) => {
+            const query = name.trim().toLowerCase();
+            const names = [...Object.keys(LINGUIST_COLORS), ...await window.LanguageSettings.getAvailableLanguages()];
+            return names.find(language => language.toLowerCase() === query) || null;
+        };
+
+        // Render the list of color overrides
+        const populateLanguageColors = () => {
+            const languages = Object.keys(languageColors).sort();
+            if (languages.length === 0) {
+                languageColorList.innerHTML = '<li class="text-gray-500">Using Linguist colors for every language.</li>';
+                return;
+            }
+
+            languageColorList.innerHTML = languages.map(language => `
+                <li class="flex items-center justify-between">
+                    <span class="flex items-center">
+                        <span class="language-dot" style="background-color: ${languageColors[language]}"></span>
+                        ${this.ui.escapeHTML(language)}
+                        <code class="text-xs text-gray-500 ml-2">${languageColors[language]}</code>
+                    </span>
+                    <button class="remove-language-color text-red-500 hover:text-red-700 text-xs ml-2"
+                            data-language="${this.ui.escapeHTML(language)}" title="Back to the Linguist color">
+                        ✕
+                    </button>
+                </li>
+            `).join('');
+
+            languageColorList.querySelectorAll('.remove-language-color').forEach(button => {
+                button.addEventListener('click', () => {
+                    delete languageColors[button.dataset.language];
+                    populateLanguageColors();
+                });
+            });
+        };
+
+        // Override the color of the typed language
+        const setLanguageColor = async () => {
+            const language = await findColorLanguage(languageColorInput.value);
+            if (!language) {
+                alert(`Unknown language "${languageColorInput.value.trim()}"`);
+                return;
+            }
+            languageColors[language] = languageColorPicker.value.toLowerCase();
+            languageColorInput.value = '';
+            populateLanguageColors();
+        };
+
+        // Show the typed language's current color in the picker
+        languageColorInput.addEventListener('change', async () => {
+            const language = await findColorLanguage(languageColorInput.value);
+            if (language) {
+                languageColorPicker.value = languageColors[language] || window.LanguageSettings.getLanguageColor(language);
+            }
+        });
+        setLanguageColorBtn.addEventListener('click', setLanguageColor);
+        languageColorInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                setLanguageColor();
+            }
+        });
+
+        // Get currently chosen display preferences
+        this.getCurrentPreferences = () => ({
+            showDevelopers: showDevelopersCheckbox.checked,
+            hideSeen: hideSeenCheckbox.checked,
+            showCombinedFeed: showCombinedFeedCheckbox.checked,
+            spokenLanguage: spokenLanguageSelect.value,
+            backgroundRefresh: getBackgroundRefresh(),
+            apiEnrichment: getApiEnrichment(),
+            languageColors: { ...languageColors },
+            webhook: getWebhook(),
+            sectionTimeRanges: getSectionTimeRanges()
+        });
+
+        // Render the list of watch rules
+        const populateWatchRules = () => {
+            if (this.watchRules.rules.length === 0) {
+                watchRuleList.innerHTML = '<li class="text-gray-500">No watch rules yet.</li>';
+                return;
+            }
+
+            watchRuleList.innerHTML = this.watchRules.rules.map(rule => `
+                <li class="flex items-center justify-between">
+                    <span>
+                        <code class="text-gray-800">${rule.isRegex ? '/' + this.ui.escapeHTML(rule.pattern) + '/' : this.ui.escapeHTML(rule.pattern)}</code>
+                        <span class="text-xs text-gray-500 ml-1">in ${this.watchRules.fields[rule.field]}</span>
+                    </span>
+                    <button class="remove-watch-rule text-red-500 hover:text-red-700 text-xs ml-2"
+                            data-rule-id="${rule.id}" title="Remove watch rule">
+                        ✕
+                    </button>
+                </li>
+            `).join('');
+
+            watchRuleList.querySelectorAll('.remove-watch-rule').forEach(button => {
+                button.addEventListener('click', async () => {
+                    await this.watchRules.removeRule(button.dataset.ruleId);
+                    populateWatchRules();
+                    this.notifyRulesChange('watch');
+                });
+            });
+        };
+
+        // Add watch rule functionality
+        const addWatchRule = async () => {
+            try {
+                await this.watchRules.addRule(watchRuleInput.value, watchRuleRegex.checked, watchRuleField.value);
+                watchRuleInput.value = '';
+                populateWatchRules();
+                this.notifyRulesChange('watch');
+            } catch (error) {
+                alert(`Error: ${error.message}`);
+            }
+        };
+
+        addWatchRuleBtn.addEventListener('click', addWatchRule);
+        watchRuleInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                addWatchRule();
+            }
+        });
+
+        // Render the list of mute rules
+        const populateMuteRules = () => {
+            if (this.muteList.rules.length === 0) {
+                muteRuleList.innerHTML = '<li class="text-gray-500">Nothing muted yet.</li>';
+                return;
+            }
+
+            muteRuleList.innerHTML = this.muteList.rules.map(rule => `
+                <li class="flex items-center justify-between">
+                    <span>
+                        <code class="text-gray-800">${this.ui.escapeHTML(this.muteList.describeRule(rule))}</code>
+                        <span class="text-xs text-gray-500 ml-1">${this.muteList.types[rule.type]}</span>
+                    </span>
+                    <button class="remove-mute-rule text-red-500 hover:text-red-700 text-xs ml-2"
+                            data-rule-id="${rule.id}" title="Unmute">
+                        ✕
+                    </button>
+                </li>
+            `).join('');
+
+            muteRuleList.querySelectorAll('.remove-mute-rule').forEach(button => {
+                button.addEventListener('click', async () => {
+                    await this.muteList.removeRule(button.dataset.ruleId);
+                    populateMuteRules();
+                    this.notifyRulesChange('mute');
+                });
+            });
+        };
+
+        // Add mute rule functionality
+        const addMuteRule = async () => {
+            try {
+                await this.muteList.addRule(muteRuleType.value, muteRuleInput.value);
+                muteRuleInput.value = '';
+                populateMuteRules();
+                this.notifyRulesChange('mute');
+            } catch (error) {
+                alert(`Error: ${error.message}`);
+            }
+        };
+
+        addMuteRuleBtn.addEventListener('click', addMuteRule);
+        muteRuleInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                addMuteRule();
+            }
+        });
+
+        // Suggest GitHub's languages that aren't in the list yet
+        const populateCustomLanguageOptions = async () => {
+            await this.languageCatalog.ensureLoaded();
+            const availableLanguages = await window.LanguageSettings.getAvailableLanguages();
+            customLanguageOptions.innerHTML = this.languageCatalog.getNames()
+                .filter(name => !availableLanguages.includes(name))
+                .map(name => `<option value="${this.ui.escapeHTML(name)}"></option>`)
+                .join('');
         };
 
         // Add custom language functionality
         const addCustomLanguage = async () => {
-            const languageName = customLanguageInput.value.trim();
-            if (!languageName) {
+            const input = customLanguageInput.value.trim();
+            if (!input) {
                 alert('Please enter a language name');
                 return;
             }
+
+            // Only languages GitHub's trending page knows have trending data
+            if (!await this.languageCatalog.ensureLoaded()) {
+                alert('Could not load the language list from GitHub, so the name cannot be checked. Please try again when GitHub is reachable.');
+                return;
+            }
+            const language = this.languageCatalog.find(input);
+            if (!language) {
+                alert(`"${input}" is not a language GitHub trending knows. Pick one of the suggestions.`);
+                return;
+            }
+            const languageName = language.name;
             
             try {
                 await window.LanguageSettings.addCustomLanguage(languageName);
@@ -95,6 +623,7 @@ class SettingsManager {
                 const currentSelected = this.getCurrentSelectedLanguages();
                 currentSelected.push(languageName); // Auto-select the new language
                 await populateLanguageCheckboxes(currentSelected);
+                await populateCustomLanguageOptions();
                 
                 alert(`Custom language "${languageName}" added successfully!`);
             } catch (error) {
@@ -113,8 +642,31 @@ class SettingsManager {
 
         // Open settings modal
         settingsBtn.addEventListener('click', async () => {
+            const profile = this.languageProfiles.getActive();
+            settingsProfileName.textContent = profile.name;
+            profileTimeRanges = { ...profile.timeRanges };
             this.currentSelectedLanguages = await window.LanguageSettings.loadSelectedLanguages();
             await populateLanguageCheckboxes(this.currentSelectedLanguages);
+            populateCustomLanguageOptions();
+            const developersSection = await window.LanguageSettings.loadDevelopersSection();
+            showDevelopersCheckbox.checked = developersSection.enabled;
+            hideSeenCheckbox.checked = await window.LanguageSettings.loadHideSeenRepos();
+            showCombinedFeedCheckbox.checked = await window.LanguageSettings.loadShowCombinedFeed();
+            spokenLanguageSelect.value = await window.LanguageSettings.loadSpokenLanguage();
+            populateBackgroundRefresh(await window.LanguageSettings.loadBackgroundRefresh());
+            populateApiEnrichment(await window.LanguageSettings.loadApiEnrichment());
+            populateWebhook(await window.LanguageSettings.loadWebhook());
+            populateWebhookLog();
+            await this.watchRules.load();
+            populateWatchRules();
+            await this.muteList.load();
+            populateMuteRules();
+            languageColors = await window.LanguageSettings.loadLanguageColorOverrides();
+            populateLanguageColors();
+            languageColorOptions.innerHTML = [...new Set([
+                ...await window.LanguageSettings.getAvailableLanguages(),
+                ...Object.keys(LINGUIST_COLORS)
+            ])].map(name => `<option value="${this.ui.escapeHTML(name)}"></option>`).join('');
             settingsModal.classList.remove('hidden');
         });
 
@@ -136,15 +688,36 @@ class SettingsManager {
         // Reset to default settings
         resetSettings.addEventListener('click', async () => {
             const defaultLanguages = window.LanguageSettings.getDefaultLanguages();
+            profileTimeRanges = {};
             await populateLanguageCheckboxes(defaultLanguages);
+            showDevelopersCheckbox.checked = window.LanguageSettings.DEFAULT_DEVELOPERS_SECTION.enabled;
+            hideSeenCheckbox.checked = false;
+            showCombinedFeedCheckbox.checked = true;
+            spokenLanguageSelect.value = '';
+            populateBackgroundRefresh(window.LanguageSettings.DEFAULT_BACKGROUND_REFRESH);
+            populateApiEnrichment(window.LanguageSettings.DEFAULT_API_ENRICHMENT);
+            populateWebhook(window.LanguageSettings.DEFAULT_WEBHOOK);
+            languageColors = {};
+            populateLanguageColors();
         });
 
         // Save settings - this will be overridden by the main app
         this.onSaveSettings = null;
         saveSettings.addEventListener('click', async () => {
             if (this.onSaveSettings) {
+                const webhook = getWebhook();
+                const webhookError = validateWebhook(webhook);
+                if (webhookError) {
+                    alert(webhookError);
+                    return;
+                }
+                if (webhook.enabled && !await requestWebhookPermission(webhook)) {
+                    alert('The extension needs access to the webhook\'s host to post to it.');
+                    return;
+                }
+
                 const selectedLanguages = this.getCurrentSelectedLanguages();
-                await this.onSaveSettings(selectedLanguages);
+                await this.onSaveSettings(selectedLanguages, this.getCurrentPreferences());
                 closeModal();
             }
         });
@@ -154,6 +727,18 @@ class SettingsManager {
     setSaveCallback(callback) {
         this.onSaveSettings = callback;
     }
+
+    // Set callback for rule edits; rules are saved as they're edited, so the page applies them right away
+    setRulesChangeCallback(callback) {
+        this.onRulesChange = callback;
+    }
+
+    // Tell the page that watch ('watch') or mute ('mute') rules changed
+    notifyRulesChange(kind) {
+        if (this.onRulesChange) {
+            this.onRulesChange(kind);
+        }
+    }
 }
 
 // Export for global use
@@ -0,0 +1,109 @@
+// Star Manager Module
+// Tracks and changes which repositories the token's user has starred, through the GitHub REST API
+
+class StarManager {
+    constructor(enricher) {
+        this.api = enricher; // Shares the token, API base URL and rate limit with enrichment
+        this.perPage = 100;
+        this.maxPages = 20; // Users with more stars only see the first 2,000 as starred
+        this.starred = new Set();
+        this.loadPromise = null;
+        this.loaded = false;
+    }
+
+    // Starring needs a personal access token
+    isAvailable() {
+        return Boolean(this.api.settings.token);
+    }
+
+    // Forget the starred list, e.g. after the token changed
+    reset() {
+        this.starred = new Set();
+        this.loadPromise = null;
+        this.loaded = false;
+    }
+
+    // Load the user's starred repositories (once)
+    load() {
+        if (!this.isAvailable()) return Promise.resolve(this.starred);
+        if (!this.loadPromise) {
+            this.loadPromise = this.loadPages().catch(error => {
+                console.error('Error loading starred repositories:', error);
+                this.loadPromise = null;
+                return this.starred;
+            });
+        }
+        return this.loadPromise;
+    }
+
+    async loadPages() {
+        const starred = new Set();
+        for (let page = 1; page <= this.maxPages; page++) {
+            const response = await this.api.request(`/user/starred?per_page=${this.perPage}&page=${page}`);
+            if (!response.ok) {
+                throw new Error(this.describeError(response));
+            }
+            const repos = await response.json();
+            repos.forEach(repo => starred.add(repo.full_name));
+            if (repos.length < this.perPage) break;
+        }
+        this.starred = starred;
+        this.loaded = true;
+        return this.starred;
+    }
+
+    // Check whether a repository is starred (null until the starred list has loaded)
+    isStarred(fullName) {
+        return this.loaded ? this.starred.has(fullName) : null;
+    }
+
+    // Explain a failed API response (or the scheduler's error for one) in words the UI can show
+    describeError(response) {
+        if (response.status === 429 || (response.status === 403 && this.api.rateLimit.remaining === 0)) {
+            const resetAt = this.api.rateLimit.resetAt;
+            return `GitHub API rate limit reached${resetAt ? `; try again after ${new Date(resetAt).toLocaleTimeString()}` : ''}`;
+        }
+        if (response.status === 401) {
+            return 'GitHub rejected the personal access token';
+        }
+        if (response.status === 403 || response.status === 404) {
+            return 'The personal access token is not allowed to star repositories';
+        }
+        return `GitHub API error! status: ${response.status}`;
+    }
+
+    // Star or unstar a repository
+    async setStarred(fullName, starred) {
+        if (!this.isAvailable()) {
+            throw new Error('Add a personal access token in Language Settings to star repositories');
+        }
+        if (this.api.isRateLimited()) {
+            throw new Error(`GitHub API rate limit reached; try again after ${new Date(this.api.rateLimit.resetAt).toLocaleTimeString()}`);
+        }
+
+        let response;
+        try {
+            response = await this.api.request(`/user/starred/${fullName}`, {
+                method: starred ? 'PUT' : 'DELETE'
+            });
+        } catch (error) {
+            // 429 and 5xx responses arrive as errors once the scheduler gives up retrying
+            throw error.status ? new Error(this.describeError(error)) : error;
+        }
+        if (!response.ok) {
+            throw new Error(this.describeError(response));
+        }
+
+        if (starred) {
+            this.starred.add(fullName);
+        } else {
+            this.starred.delete(fullName);
+        }
+        return starred;
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.StarManager = StarManager;
+}
@@ -0,0 +1,158 @@
+// Star Velocity Module
+// Samples repositories' star counts on every fetch to work out stars per hour and acceleration
+
+class StarVelocity {
+    constructor(options = {}) {
+        this.storageKey = 'star_samples';
+        this.retention = options.retention || 7 * 24 * 60 * 60 * 1000; // Forget samples after a week
+        this.minInterval = options.minInterval || 15 * 60 * 1000; // Closer fetches add no sample
+        this.maxSamples = options.maxSamples || 96;
+        this.window = 24 * 60 * 60 * 1000; // Rates cover the last day of samples
+        this.minSpan = 60 * 60 * 1000; // Shorter histories fall back to an estimate from period stars
+        this.periodHours = { 'today': 24, 'this week': 7 * 24, 'this month': 30 * 24 };
+        this.persistDelay = 1000;
+        this.storage = (typeof chrome !== 'undefined' && chrome.storage) ? chrome.storage.local : null;
+        this.samples = {}; // full_name -> [{ t, stars, periodStars, range }], oldest first
+        this.pending = {}; // Samples recorded since the last save
+        this.persistTimer = null;
+        // Saves are serialized; each one merges with what another page or the service worker stored
+        this.writeQueue = Promise.resolve();
+    }
+
+    // Read stored samples
+    read() {
+        return new Promise(resolve => {
+            if (!this.storage) {
+                resolve({});
+                return;
+            }
+            this.storage.get(this.storageKey, result => resolve(result[this.storageKey] || {}));
+        });
+    }
+
+    // Load stored samples
+    async load() {
+        this.samples = this.prune(await this.read());
+    }
+
+    // Drop samples past the retention window and repositories left without any
+    prune(samplesByRepo) {
+        const cutoff = Date.now() - this.retention;
+        const pruned = {};
+        Object.entries(samplesByRepo).forEach(([fullName, samples]) => {
+            const recent = samples.filter(sample => sample.t > cutoff).slice(-this.maxSamples);
+            if (recent.length > 0) {
+                pruned[fullName] = recent;
+            }
+        });
+        return pruned;
+    }
+
+    // Merge two sample lists by time
+    mergeSamples(a, b) {
+        const byTime = new Map();
+        [...a, ...b].forEach(sample => byTime.set(sample.t, sample));
+        return Array.from(byTime.values()).sort((x, y) => x.t - y.t);
+    }
+
+    // Record the star counts of freshly fetched repositories
+    record(repos, timestamp = Date.now()) {
+        repos.forEach(repo => {
+            const samples = this.samples[repo.full_name] || [];
+            const last = samples[samples.length - 1];
+            if (last && timestamp - last.t < this.minInterval) return;
+
+            const sample = {
+                t: timestamp,
+                stars: repo.stargazers_count || 0,
+                periodStars: repo.period_stars || 0,
+                range: repo.period_range || 'today'
+            };
+            this.samples[repo.full_name] = [...samples, sample].slice(-this.maxSamples);
+            this.pending[repo.full_name] = [...(this.pending[repo.full_name] || []), sample];
+        });
+        this.schedulePersist();
+    }
+
+    // Save new samples shortly after recording
+    schedulePersist() {
+        clearTimeout(this.persistTimer);
+        this.persistTimer = setTimeout(() => {
+            this.writeQueue = this.writeQueue.then(() => this.persist()).catch(error => {
+                console.error('Error saving star samples:', error);
+            });
+        }, this.persistDelay);
+    }
+
+    async persist() {
+        if (!this.storage || Object.keys(this.pending).length === 0) return;
+
+        const pending = this.pending;
+        this.pending = {};
+        const stored = await this.read();
+        Object.entries(pending).forEach(([fullName, samples]) => {
+            stored[fullName] = this.mergeSamples(stored[fullName] || [], samples);
+        });
+        const merged = this.prune(stored);
+
+        await new Promise(resolve => this.storage.set({ [this.storageKey]: merged }, resolve));
+
+        // Keep samples recorded while saving
+        Object.entries(this.pending).forEach(([fullName, samples]) => {
+            merged[fullName] = this.mergeSamples(merged[fullName] || [], samples);
+        });
+        this.samples = merged;
+    }
+
+    // Stars gained per hour between two samples
+    rate(from, to) {
+        return (to.stars - from.stars) / ((to.t - from.t) / (60 * 60 * 1000));
+    }
+
+    // Get a repository's velocity: { starsPerHour, acceleration (stars/hour per hour, or null), estimated, points }
+    // Without an hour of samples, starsPerHour spreads the period's stars over the period (estimated: true)
+    // Returns null when nothing is known about the repository
+    get(fullName) {
+        const now = Date.now();
+        const all = this.samples[fullName] || [];
+        const samples = all.filter(sample => now - sample.t < this.window);
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+
+        if (samples.length >= 2 && last.t - first.t >= this.minSpan) {
+            // Acceleration compares the rates over the older and the newer half of the samples
+            let acceleration = null;
+            const middle = samples[Math.floor(samples.length / 2)];
+            if (samples.length >= 3 && middle.t > first.t && middle.t < last.t) {
+                const hoursBetweenHalves = (last.t - first.t) / 2 / (60 * 60 * 1000);
+                acceleration = (this.rate(middle, last) - this.rate(first, middle)) / hoursBetweenHalves;
+            }
+            return {
+                starsPerHour: Math.max(0, this.rate(first, last)),
+                acceleration,
+                estimated: false,
+                points: samples.map(sample => ({ t: sample.t, stars: sample.stars }))
+            };
+        }
+
+        const latest = all[all.length - 1];
+        if (!latest) return null;
+        return {
+            starsPerHour: latest.periodStars / (this.periodHours[latest.range] || 24),
+            acceleration: null,
+            estimated: true,
+            points: samples.map(sample => ({ t: sample.t, stars: sample.stars }))
+        };
+    }
+
+    // Get stars per hour for sorting (0 when unknown)
+    getStarsPerHour(fullName) {
+        const velocity = this.get(fullName);
+        return velocity ? velocity.starsPerHour : 0;
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.StarVelocity = StarVelocity;
+}
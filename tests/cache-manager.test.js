@@ -0,0 +1,87 @@
+// Cache Manager Tests
+// Checks the running size total and eviction limits: node tests/cache-manager.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.window = global;
+require('../cache-manager.js');
+
+// Size of the whole cache measured the slow way, to compare with the running total
+function measure(cache) {
+    let bytes = 0;
+    for (const entry of cache.cache.values()) {
+        bytes += JSON.stringify(entry).length;
+    }
+    return bytes;
+}
+
+function repos(count) {
+    return Array.from({ length: count }, (_, i) => ({ full_name: `owner/repo-${i}`, stars: i }));
+}
+
+test('the running total follows sets, overwrites and clears', () => {
+    const cache = new window.CacheManager();
+
+    cache.set(null, 'daily', repos(3));
+    cache.set('Rust', 'daily', repos(5));
+    assert.equal(cache.totalBytes, measure(cache));
+
+    cache.set('Rust', 'daily', repos(1));
+    assert.equal(cache.totalBytes, measure(cache));
+    assert.equal(cache.getStats().bytes, cache.totalBytes);
+
+    cache.clear();
+    assert.equal(cache.totalBytes, 0);
+    assert.equal(cache.sizes.size, 0);
+});
+
+test('entries are measured once, not on every set', () => {
+    const cache = new window.CacheManager();
+    cache.set(null, 'daily', repos(3));
+    cache.set('Rust', 'daily', repos(3));
+
+    const stringify = JSON.stringify;
+    let calls = 0;
+    JSON.stringify = (...args) => {
+        calls++;
+        return stringify(...args);
+    };
+    try {
+        cache.set('Go', 'daily', repos(3));
+    } finally {
+        JSON.stringify = stringify;
+    }
+
+    assert.equal(calls, 1);
+});
+
+test('least recently used entries are evicted once over the byte limit', () => {
+    const cache = new window.CacheManager();
+    cache.set(null, 'daily', repos(10));
+    const entryBytes = cache.totalBytes;
+    cache.maxBytes = entryBytes * 2;
+
+    cache.set('Rust', 'daily', repos(10));
+    cache.get(null, 'daily'); // Touch the first entry so the second one is older
+    cache.cache.get('Rust-daily').lastAccess -= 1000;
+    cache.set('Go', 'daily', repos(10));
+
+    assert.deepEqual([...cache.cache.keys()].sort(), ['Go-daily', 'all-daily']);
+    assert.equal(cache.totalBytes, measure(cache));
+});
+
+test('entries over the entry limit and too-old entries are evicted', () => {
+    const cache = new window.CacheManager({ maxEntries: 2 });
+    cache.set(null, 'daily', repos(1));
+    cache.cache.get('all-daily').timestamp -= cache.maxAge + 1;
+    cache.set('Rust', 'daily', repos(1));
+    assert.deepEqual([...cache.cache.keys()], ['Rust-daily']);
+
+    cache.set('Go', 'daily', repos(1));
+    cache.cache.get('Rust-daily').lastAccess -= 1000;
+    cache.set('Zig', 'daily', repos(1));
+
+    assert.deepEqual([...cache.cache.keys()].sort(), ['Go-daily', 'Zig-daily']);
+    assert.equal(cache.totalBytes, measure(cache));
+});
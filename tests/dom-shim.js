@@ -0,0 +1,186 @@
+// DOM Shim
+// A small DOMParser for running the parser tests in Node: builds an element tree from HTML and supports
+// the selectors the extractors use (tag, #id, .class, [attr], [attr="v"], ^=, $=, *=, descendant, comma)
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+        }
+        return named[entity.toLowerCase()] ?? match;
+    });
+}
+
+class TextNode {
+    constructor(text) {
+        this.nodeType = 3;
+        this.text = text;
+        this.parentElement = null;
+    }
+
+    get textContent() {
+        return this.text;
+    }
+}
+
+class Element {
+    constructor(tagName, attributes = {}) {
+        this.nodeType = 1;
+        this.tagName = tagName.toUpperCase();
+        this.attributes = attributes;
+        this.childNodes = [];
+        this.parentElement = null;
+    }
+
+    get children() {
+        return this.childNodes.filter(node => node.nodeType === 1);
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    get nextElementSibling() {
+        if (!this.parentElement) return null;
+        const siblings = this.parentElement.children;
+        return siblings[siblings.indexOf(this) + 1] || null;
+    }
+
+    get classList() {
+        return (this.attributes.class || '').split(/\s+/).filter(Boolean);
+    }
+
+    getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    appendChild(node) {
+        node.parentElement = this;
+        this.childNodes.push(node);
+        return node;
+    }
+
+    // Every element below this one, in document order
+    descendants() {
+        const result = [];
+        const walk = element => element.children.forEach(child => {
+            result.push(child);
+            walk(child);
+        });
+        walk(this);
+        return result;
+    }
+
+    querySelectorAll(selector) {
+        const groups = parseSelector(selector);
+        return this.descendants().filter(element => groups.some(group => matchesGroup(element, group, this)));
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+}
+
+// Parse "a.b[c$='d'] e, f" into groups of compound selectors
+function parseSelector(selector) {
+    return selector.split(',').map(group => group.trim().split(/\s+/).map(compound => {
+        const parts = { tag: null, id: null, classes: [], attributes: [] };
+        const pattern = /^([a-z][\w-]*)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:([\^$*]?=)"([^"]*)")?\]/gi;
+        let consumed = 0;
+        let match;
+        while ((match = pattern.exec(compound)) !== null && match.index === consumed) {
+            consumed += match[0].length;
+            if (match[1]) parts.tag = match[1].toUpperCase();
+            if (match[2]) parts.id = match[2];
+            if (match[3]) parts.classes.push(match[3]);
+            if (match[4]) parts.attributes.push({ name: match[4], operator: match[5], value: match[6] });
+            pattern.lastIndex = consumed;
+        }
+        if (consumed !== compound.length) {
+            throw new Error(`Unsupported selector "${compound}"`);
+        }
+        return parts;
+    }));
+}
+
+function matchesCompound(element, parts) {
+    if (parts.tag && element.tagName !== parts.tag) return false;
+    if (parts.id && element.getAttribute('id') !== parts.id) return false;
+    if (parts.classes.some(name => !element.classList.includes(name))) return false;
+    return parts.attributes.every(({ name, operator, value }) => {
+        const actual = element.getAttribute(name);
+        if (actual === null) return false;
+        if (!operator) return true;
+        if (operator === '=') return actual === value;
+        if (operator === '^=') return actual.startsWith(value);
+        if (operator === '$=') return actual.endsWith(value);
+        return actual.includes(value);
+    });
+}
+
+// Match the last compound on the element and the earlier ones on ancestors inside the search root
+function matchesGroup(element, group, root) {
+    if (!matchesCompound(element, group[group.length - 1])) return false;
+    let index = group.length - 2;
+    let ancestor = element.parentElement;
+    while (index >= 0 && ancestor && ancestor !== root) {
+        if (matchesCompound(ancestor, group[index])) index--;
+        ancestor = ancestor.parentElement;
+    }
+    return index < 0;
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+    return attributes;
+}
+
+class DOMParser {
+    parseFromString(html) {
+        const document = new Element('#document');
+        let current = document;
+        const pattern = /<!--[\s\S]*?-->|<!doctype[^>]*>|<\/\s*([\w-]+)\s*>|<([\w-]+)((?:"[^"]*"|'[^']*'|[^'">])*)>|([^<]+|<)/gi;
+        let match;
+
+        while ((match = pattern.exec(html)) !== null) {
+            const [, closing, opening, attributes, text] = match;
+            if (text !== undefined) {
+                current.appendChild(new TextNode(decodeEntities(text)));
+            } else if (opening) {
+                const element = current.appendChild(new Element(opening, parseAttributes(attributes.replace(/\/$/, ''))));
+                const tag = opening.toLowerCase();
+                if (RAW_TEXT_ELEMENTS.has(tag)) {
+                    const end = html.toLowerCase().indexOf(`</${tag}`, pattern.lastIndex);
+                    const stop = end === -1 ? html.length : end;
+                    element.appendChild(new TextNode(html.slice(pattern.lastIndex, stop)));
+                    pattern.lastIndex = stop;
+                } else if (!VOID_ELEMENTS.has(tag) && !attributes.trim().endsWith('/')) {
+                    current = element;
+                }
+            } else if (closing) {
+                // Close up to the matching open element; stray closing tags are ignored
+                let open = current;
+                while (open !== document && open.tagName !== closing.toUpperCase()) {
+                    open = open.parentElement;
+                }
+                if (open !== document) {
+                    current = open.parentElement;
+                }
+            }
+        }
+
+        document.body = document.querySelector('body') || document;
+        return document;
+    }
+}
+
+module.exports = { DOMParser };
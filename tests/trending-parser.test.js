@@ -0,0 +1,160 @@
+// Trending Parser Tests
+// Runs the parser against saved trending pages: node tests/trending-parser.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DOMParser } = require('./dom-shim');
+
+global.window = global;
+global.DOMParser = DOMParser;
+require('../trending-parser.js');
+
+function parseFixture(name) {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+    return new window.TrendingParser().parse(html);
+}
+
+test('current markup parses every field with the expected selectors', () => {
+    const { repos, diagnostics } = parseFixture('trending-current.html');
+
+    assert.equal(repos.length, 2);
+    assert.deepEqual(repos[0], {
+        full_name: 'astral-sh/uv',
+        description: 'An extremely fast Python package & project manager, written in Rust.',
+        stargazers_count: 52341,
+        html_url: 'https://github.com/astral-sh/uv',
+        language: 'Rust',
+        forks_count: 1523,
+        period_stars: 312,
+        period_range: 'today',
+        avatar_url: 'https://avatars.githubusercontent.com/u/1309177?s=40&v=4',
+        owner: 'astral-sh',
+        developers: [
+            {
+                username: 'charliermarsh',
+                avatar_url: 'https://avatars.githubusercontent.com/u/1309177?s=40&v=4',
+                profile_url: 'https://github.com/charliermarsh'
+            },
+            {
+                username: 'zanieb',
+                avatar_url: 'https://avatars.githubusercontent.com/u/2586601?s=40&v=4',
+                profile_url: 'https://github.com/zanieb'
+            }
+        ]
+    });
+    assert.equal(repos[1].full_name, 'tokio-rs/tokio');
+    assert.equal(repos[1].description, '');
+    assert.equal(repos[1].period_stars, 1045);
+
+    assert.equal(diagnostics.parserVersion, 2);
+    assert.equal(diagnostics.articleStrategy, 'article.Box-row');
+    assert.equal(diagnostics.articleCount, 2);
+    assert.equal(diagnostics.parsedCount, 2);
+    assert.equal(diagnostics.emptyPage, false);
+    assert.deepEqual(diagnostics.skipped, []);
+    Object.entries(diagnostics.fields).forEach(([field, stats]) => {
+        assert.equal(stats.fallback, 0, `${field} fell back`);
+    });
+    assert.deepEqual(diagnostics.fields.title.strategies, { 'h2.h3 a': 2 });
+    assert.equal(diagnostics.fields.description.missing, 1);
+    assert.equal(diagnostics.fields.stargazers_count.missing, 0);
+    assert.deepEqual(diagnostics.warnings, []);
+    assert.equal(diagnostics.outdated, false);
+});
+
+test('fallback markup still parses and is reported as outdated', () => {
+    const { repos, diagnostics } = parseFixture('trending-fallback.html');
+
+    assert.deepEqual(repos.map(repo => repo.full_name), ['denoland/deno', 'oven-sh/bun']);
+    assert.equal(repos[0].description, 'A modern runtime for JavaScript and TypeScript.');
+    assert.equal(repos[0].stargazers_count, 98210);
+    assert.equal(repos[0].forks_count, 5401);
+    assert.equal(repos[0].language, 'TypeScript');
+    assert.equal(repos[0].period_stars, 2114);
+    assert.equal(repos[0].period_range, 'this week');
+    assert.equal(repos[0].avatar_url, 'https://github.com/denoland.png?size=40');
+    assert.deepEqual(repos[0].developers, []);
+
+    assert.equal(diagnostics.articleStrategy, 'article in Box');
+    assert.deepEqual(diagnostics.skipped, []);
+    assert.deepEqual(diagnostics.fields.title.strategies, { 'first owner/repo link': 2 });
+    ['title', 'description', 'stargazers_count', 'forks_count', 'language', 'period_stars', 'avatar_url'].forEach(field => {
+        assert.equal(diagnostics.fields[field].fallback, 2, `${field} fallback count`);
+        assert.equal(diagnostics.fields[field].missing, 0, `${field} missing count`);
+    });
+    assert.deepEqual(diagnostics.fields.period_stars.strategies, { 'span.float-sm-right': 2 });
+    assert.equal(diagnostics.fields.developers.missing, 2);
+    assert.equal(diagnostics.emptyPage, false);
+    assert.ok(diagnostics.warnings.includes('Repository rows matched "article in Box" instead of "article.Box-row"'));
+    assert.ok(diagnostics.warnings.includes('"stargazers_count" needed a fallback selector on 2 of 2 repositories'));
+    assert.equal(diagnostics.outdated, true);
+});
+
+test('a blank slate page is empty rather than outdated', () => {
+    const { repos, diagnostics } = parseFixture('trending-empty.html');
+
+    assert.deepEqual(repos, []);
+    assert.equal(diagnostics.articleStrategy, null);
+    assert.equal(diagnostics.articleCount, 0);
+    assert.equal(diagnostics.emptyPage, true);
+    assert.deepEqual(diagnostics.warnings, []);
+    assert.equal(diagnostics.outdated, false);
+});
+
+test('markup without any rows is outdated', () => {
+    const { repos, diagnostics } = new window.TrendingParser().parse('<html><body><div class="Box"></div></body></html>');
+
+    assert.deepEqual(repos, []);
+    assert.equal(diagnostics.emptyPage, false);
+    assert.deepEqual(diagnostics.warnings, ['No repository rows found on the page']);
+    assert.equal(diagnostics.outdated, true);
+});
+
+test('rows without h2.h3 a fall back to h2 a, rows without a title link are skipped', () => {
+    const { repos, diagnostics } = parseFixture('trending-missing-title.html');
+
+    assert.deepEqual(repos.map(repo => repo.full_name), ['ollama/ollama', 'gohugoio/hugo']);
+    assert.equal(repos[1].stargazers_count, 78450);
+    assert.equal(repos[1].period_stars, 903);
+    assert.equal(repos[1].period_range, 'this month');
+
+    assert.equal(diagnostics.articleCount, 3);
+    assert.equal(diagnostics.parsedCount, 2);
+    assert.deepEqual(diagnostics.skipped, [{ index: 2, reason: 'title link not found' }]);
+    assert.deepEqual(diagnostics.fields.title.strategies, { 'h2.h3 a': 1, 'h2 a': 1 });
+    assert.equal(diagnostics.fields.title.fallback, 1);
+    assert.equal(diagnostics.fields.title.missing, 1);
+    assert.ok(diagnostics.warnings.includes('1 of 3 rows skipped: title link not found'));
+    assert.equal(diagnostics.outdated, true);
+});
+
+test('rows missing other required fields are kept at 0 and mark the parse outdated', () => {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'trending-current.html'), 'utf8')
+        .replace(/<a href="\/tokio-rs\/tokio\/stargazers"[\s\S]*?<\/a>/, '');
+    const { repos, diagnostics } = new window.TrendingParser().parse(html);
+
+    assert.equal(repos.length, 2);
+    assert.equal(repos[1].full_name, 'tokio-rs/tokio');
+    assert.equal(repos[1].stargazers_count, 0);
+    assert.deepEqual(diagnostics.skipped, []);
+    assert.equal(diagnostics.fields.stargazers_count.missing, 1);
+    assert.deepEqual(diagnostics.warnings, ['"stargazers_count" missing on 1 of 2 repositories']);
+    assert.equal(diagnostics.outdated, true);
+});
+
+test('language options are read from the language dropdown', () => {
+    const html = `<details id="select-menu-language"><summary>Language</summary>
+        <a href="/trending/rust?since=daily"><span class="select-menu-item-text">Rust</span></a>
+        <a href="/trending/c%2B%2B?since=daily"><span class="select-menu-item-text">C++</span></a>
+        <a href="/trending/developers">Developers</a>
+        <a href="/trending/rust?since=weekly"><span class="select-menu-item-text">Rust</span></a>
+    </details>`;
+
+    assert.deepEqual(new window.TrendingParser().parseLanguageOptions(html), [
+        { name: 'Rust', slug: 'rust' },
+        { name: 'C++', slug: 'c%2B%2B' }
+    ]);
+    assert.deepEqual(new window.TrendingParser().parseLanguageOptions('<html><body></body></html>'), []);
+});
@@ -0,0 +1,76 @@
+// Visit Tracker Tests
+// Checks which repositories count as new or seen: node tests/visit-tracker.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.window = global;
+require('../visit-tracker.js');
+
+// Load a tracker from fake storage holding what earlier visits saw (undefined = never visited)
+async function loadTracker(stored) {
+    global.chrome = {
+        storage: {
+            local: {
+                get: (key, callback) => callback(stored === undefined ? {} : { [key]: stored }),
+                set: () => {}
+            }
+        }
+    };
+    const tracker = new window.VisitTracker();
+    await tracker.load();
+    return tracker;
+}
+
+test('the first visit has no baseline and flags nothing as new', async () => {
+    const tracker = await loadTracker(undefined);
+
+    assert.equal(tracker.hasBaseline('all'), false);
+    assert.equal(tracker.isNew('all', 'a/one'), false);
+});
+
+test('a section added since the last visit has no baseline', async () => {
+    const tracker = await loadTracker({ all: { 'a/one': Date.now() } });
+
+    assert.equal(tracker.hasBaseline('all'), true);
+    assert.equal(tracker.hasBaseline('Rust'), false);
+    assert.equal(tracker.isNew('Rust', 'b/two'), false);
+});
+
+test('a section seen before flags only repositories it did not show', async () => {
+    const tracker = await loadTracker({ all: { 'a/one': Date.now() } });
+
+    assert.equal(tracker.isNew('all', 'a/one'), false);
+    assert.equal(tracker.isNew('all', 'b/two'), true);
+});
+
+test('sections whose last visit expired lose their baseline', async () => {
+    const tracker = await loadTracker({ all: { 'a/one': Date.now() - 31 * 24 * 60 * 60 * 1000 } });
+
+    assert.equal(tracker.hasBaseline('all'), false);
+    assert.equal(tracker.isNew('all', 'b/two'), false);
+});
+
+test('repositories shown during this visit do not change what counts as new', async () => {
+    const tracker = await loadTracker({ all: { 'a/one': Date.now() } });
+    tracker.persistDelay = 0;
+    tracker.recordShown('all', [{ full_name: 'b/two' }]);
+    tracker.recordShown('Rust', [{ full_name: 'c/three' }]);
+    clearTimeout(tracker.persistTimer);
+
+    assert.equal(tracker.isNew('all', 'b/two'), true);
+    assert.equal(tracker.hasBaseline('Rust'), false);
+});
+
+test('each time range of a section keeps its own seen repositories', async () => {
+    const tracker = await loadTracker(undefined);
+    const daily = tracker.generateKey(null, 'daily');
+    const weekly = tracker.generateKey(null, 'weekly');
+    const stored = await loadTracker({ [daily]: { 'a/one': Date.now() } });
+
+    assert.notEqual(daily, weekly);
+    assert.equal(tracker.generateKey('Rust', 'monthly'), 'Rust:monthly');
+    assert.equal(stored.isNew(daily, 'b/two'), true);
+    assert.equal(stored.hasBaseline(weekly), false);
+    assert.equal(stored.isNew(weekly, 'b/two'), false);
+});
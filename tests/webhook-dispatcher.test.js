@@ -0,0 +1,97 @@
+// Webhook Dispatcher Tests
+// Checks queued retries against the current webhook settings: node tests/webhook-dispatcher.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+global.window = global;
+require('../webhook-dispatcher.js');
+
+const settings = {
+    enabled: true,
+    url: 'https://hooks.example.com/old',
+    format: 'json',
+    secret: 'old-secret',
+    template: '',
+    sectionFilters: {}
+};
+const entries = [{ sectionKey: 'all', rank: 1, repo: { full_name: 'a/one', html_url: 'https://github.com/a/one' } }];
+
+// Fake storage and fetch; every request is recorded and answered with the next status (200 when none are left)
+function setUp(statuses = []) {
+    const store = {};
+    const requests = [];
+    global.chrome = {
+        storage: {
+            local: {
+                get: (key, callback) => callback(key in store ? { [key]: store[key] } : {}),
+                set: (items, callback) => {
+                    Object.assign(store, JSON.parse(JSON.stringify(items)));
+                    callback();
+                }
+            }
+        }
+    };
+    global.fetch = async (url, options) => {
+        requests.push({ url, ...options });
+        const status = statuses.length > 0 ? statuses.shift() : 200;
+        return { ok: status < 400, status };
+    };
+    return { store, requests, dispatcher: new window.WebhookDispatcher() };
+}
+
+// Queue one delivery by failing it with a 500
+async function queueFailedDelivery(dispatcher) {
+    const logEntry = await dispatcher.deliver(entries, settings);
+    assert.equal(logEntry.ok, false);
+    assert.equal(await dispatcher.getQueueLength(), 1);
+}
+
+test('retries are dropped once the webhook is turned off', async () => {
+    const { requests, dispatcher } = setUp([500]);
+    await queueFailedDelivery(dispatcher);
+
+    await dispatcher.processQueue({ ...settings, enabled: false }, true);
+
+    assert.equal(requests.length, 1);
+    assert.equal(await dispatcher.getQueueLength(), 0);
+    assert.equal((await dispatcher.getLog())[0].error, 'Retry dropped: the webhook is off');
+});
+
+test('retries are dropped when the webhook URL changes', async () => {
+    const { requests, dispatcher } = setUp([500]);
+    await queueFailedDelivery(dispatcher);
+
+    const remaining = await dispatcher.dropStaleRetries({ ...settings, url: 'https://hooks.example.com/new' });
+    await dispatcher.processQueue({ ...settings, url: 'https://hooks.example.com/new' }, true);
+
+    assert.deepEqual(remaining, []);
+    assert.deepEqual(requests.map(request => request.url), ['https://hooks.example.com/old']);
+    assert.equal((await dispatcher.getLog())[0].error, 'Retry dropped: the webhook URL changed');
+});
+
+test('retries to the same URL are signed with the current secret', async () => {
+    const { requests, dispatcher } = setUp([500]);
+    await queueFailedDelivery(dispatcher);
+
+    await dispatcher.processQueue({ ...settings, secret: 'new-secret' }, true);
+
+    assert.equal(requests.length, 2);
+    const retry = requests[1];
+    const expected = `sha256=${crypto.createHmac('sha256', 'new-secret').update(retry.body).digest('hex')}`;
+    assert.equal(retry.url, settings.url);
+    assert.equal(retry.headers['X-Trending-Signature-256'], expected);
+    assert.equal(await dispatcher.getQueueLength(), 0);
+    assert.equal((await dispatcher.getLog())[0].ok, true);
+});
+
+test('retries that are not due yet stay queued', async () => {
+    const { requests, dispatcher } = setUp([500]);
+    await queueFailedDelivery(dispatcher);
+
+    await dispatcher.processQueue(settings);
+
+    assert.equal(requests.length, 1);
+    assert.equal(await dispatcher.getQueueLength(), 1);
+});
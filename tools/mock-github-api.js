@@ -0,0 +1,98 @@
+// Mock GitHub REST API
+// Serves fake repository metadata and stars for testing API enrichment and starring without touching api.github.com
+//
+// Usage: node tools/mock-github-api.js [port] [rate limit]
+// Then set the API base URL in Language Settings to http://localhost:8787
+
+const http = require('http');
+const crypto = require('crypto');
+
+const port = parseInt(process.argv[2], 10) || 8787;
+const limit = parseInt(process.argv[3], 10) || 60;
+const windowMs = 60 * 60 * 1000;
+
+let remaining = limit;
+let resetAt = Date.now() + windowMs;
+const starred = new Set(); // Repositories the mock user has starred
+
+// Deterministic fake metadata so repeated lookups return the same ETag
+function fakeRepo(owner, name) {
+    const hash = crypto.createHash('sha1').update(`${owner}/${name}`).digest();
+    const day = 24 * 60 * 60 * 1000;
+    return {
+        full_name: `${owner}/${name}`,
+        topics: ['mock', ['cli', 'web', 'ml', 'database', 'devtools'][hash[0] % 5]],
+        license: hash[1] % 4 === 0 ? null : { spdx_id: ['MIT', 'Apache-2.0', 'GPL-3.0'][hash[1] % 3], name: 'Mock License' },
+        created_at: new Date(Date.UTC(2015 + hash[2] % 10, hash[3] % 12, 1 + hash[4] % 28)).toISOString(),
+        pushed_at: new Date(Date.now() - (hash[5] % 60) * day).toISOString().substring(0, 10) + 'T00:00:00Z',
+        open_issues_count: hash[6] * 3,
+        archived: hash[7] % 10 === 0
+    };
+}
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, If-None-Match, Accept, X-GitHub-Api-Version');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (Date.now() > resetAt) {
+        remaining = limit;
+        resetAt = Date.now() + windowMs;
+    }
+
+    const match = req.url.match(/^\/repos\/([^/]+)\/([^/?#]+)/);
+    const body = match ? JSON.stringify(fakeRepo(match[1], match[2])) : null;
+    const etag = body ? `"${crypto.createHash('sha1').update(body).digest('hex')}"` : null;
+    const notModified = etag && req.headers['if-none-match'] === etag;
+
+    // Like GitHub, conditional requests answered with 304 are free
+    const limited = !notModified && remaining === 0;
+    if (!notModified && !limited) remaining--;
+    res.setHeader('X-RateLimit-Limit', limit);
+    res.setHeader('X-RateLimit-Remaining', remaining);
+    res.setHeader('X-RateLimit-Reset', Math.ceil(resetAt / 1000));
+
+    console.log(`${req.method} ${req.url} (${req.headers.authorization ? 'token' : 'anonymous'}, ${remaining} left)`);
+
+    const starMatch = req.url.match(/^\/user\/starred(?:\/([^/]+)\/([^/?#]+))?/);
+
+    if (limited) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'API rate limit exceeded' }));
+    } else if (starMatch && !req.headers.authorization) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'Requires authentication' }));
+    } else if (starMatch && starMatch[1]) {
+        const fullName = `${starMatch[1]}/${starMatch[2]}`;
+        if (req.method === 'PUT') starred.add(fullName);
+        if (req.method === 'DELETE') starred.delete(fullName);
+        res.writeHead(req.method === 'GET' && !starred.has(fullName) ? 404 : 204);
+        res.end();
+    } else if (starMatch) {
+        const page = parseInt(new URL(req.url, 'http://localhost').searchParams.get('page'), 10) || 1;
+        const perPage = parseInt(new URL(req.url, 'http://localhost').searchParams.get('per_page'), 10) || 30;
+        const repos = Array.from(starred).slice((page - 1) * perPage, page * perPage).map(fullName => ({ full_name: fullName }));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(repos));
+    } else if (!match) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'Not Found' }));
+    } else if (notModified) {
+        res.writeHead(304, { 'ETag': etag });
+        res.end();
+    } else {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'ETag': etag });
+        res.end(body);
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Mock GitHub API listening on http://localhost:${port} (${limit} requests per hour)`);
+});
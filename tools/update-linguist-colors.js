@@ -0,0 +1,88 @@
+// Linguist Color Updater
+// Regenerates linguist-colors.js from GitHub Linguist's languages.yml
+//
+// Usage: node tools/update-linguist-colors.js [path to languages.yml]
+// Without a path the latest languages.yml is downloaded from the Linguist repository
+
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+
+const sourceUrl = 'https://raw.githubusercontent.com/github-linguist/linguist/main/lib/linguist/languages.yml';
+const outputPath = path.join(__dirname, '..', 'linguist-colors.js');
+
+// Download a URL as text
+function download(url) {
+    return new Promise((resolve, reject) => {
+        https.get(url, res => {
+            if (res.statusCode !== 200) {
+                reject(new Error(`HTTP error! status: ${res.statusCode}`));
+                res.resume();
+                return;
+            }
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve(body));
+        }).on('error', reject);
+    });
+}
+
+// Read language names (top-level keys) and their color from languages.yml
+// Only the two line shapes we need are parsed, so no YAML library is required
+function parseColors(yaml) {
+    const colors = {};
+    let language = null;
+    yaml.split('\n').forEach(line => {
+        const key = line.match(/^(?:"(.+)"|'(.+)'|([^\s#][^:]*)):\s*$/);
+        if (key) {
+            language = key[1] || (key[2] && key[2].replace(/''/g, "'")) || key[3];
+            return;
+        }
+        const color = line.match(/^\s+color:\s*["']?(#[0-9a-fA-F]{6})["']?/);
+        if (color && language) {
+            colors[language] = color[1].toLowerCase();
+        }
+    });
+    return colors;
+}
+
+// Render the colors as a classic script the extension pages load
+function renderModule(colors) {
+    const entries = Object.keys(colors)
+        .sort((a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' }))
+        .map(name => `    '${name.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}': '${colors[name]}',`);
+    return [
+        '// Linguist Colors',
+        '// Language colors from GitHub Linguist (generated by tools/update-linguist-colors.js; do not edit by hand)',
+        '',
+        'const LINGUIST_COLORS = {',
+        ...entries,
+        '};',
+        '',
+        '// Export for global use',
+        "if (typeof window !== 'undefined') {",
+        '    window.LINGUIST_COLORS = LINGUIST_COLORS;',
+        '}',
+        ''
+    ].join('\n').replace(/,\n};/, '\n};');
+}
+
+async function main() {
+    const yaml = process.argv[2] ? fs.readFileSync(process.argv[2], 'utf8') : await download(sourceUrl);
+    const colors = parseColors(yaml);
+    if (Object.keys(colors).length === 0) {
+        throw new Error('No language colors found; has the languages.yml format changed?');
+    }
+    fs.writeFileSync(outputPath, renderModule(colors));
+    console.log(`Wrote ${Object.keys(colors).length} language colors to ${outputPath}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { parseColors, renderModule };
@@ -0,0 +1,71 @@
+// Webhook Receiver
+// Prints webhook deliveries and checks their signatures, for testing webhook delivery without a real endpoint
+//
+// Usage: node tools/webhook-receiver.js [port] [secret] [failures]
+// Then set the webhook URL in Language Settings to http://localhost:8788
+// The first [failures] deliveries get a 500 so retries can be watched
+
+const http = require('http');
+const crypto = require('crypto');
+
+const port = parseInt(process.argv[2], 10) || 8788;
+const secret = process.argv[3] || '';
+let failures = parseInt(process.argv[4], 10) || 0;
+
+// Compare a signature header with the body's HMAC in constant time
+function verifySignature(body, header) {
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    return Boolean(header) && header.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(header), Buffer.from(expected));
+}
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Trending-Event, X-Trending-Delivery, X-Trending-Signature-256');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end();
+        return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const signature = req.headers['x-trending-signature-256'];
+        const verified = secret ? (verifySignature(body, signature) ? 'valid signature' : 'INVALID signature') :
+            (signature ? 'signed, no secret given to check it' : 'unsigned');
+
+        console.log(`${new Date().toISOString()} ${req.headers['x-trending-event']} delivery ${req.headers['x-trending-delivery']} (${verified})`);
+        try {
+            console.log(JSON.stringify(JSON.parse(body), null, 2));
+        } catch (error) {
+            console.log(`Body is not JSON: ${body}`);
+        }
+
+        if (secret && !verifySignature(body, signature)) {
+            res.writeHead(401, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: 'Bad signature' }));
+        } else if (failures > 0) {
+            failures--;
+            console.log(`Answering 500 (${failures} more failures to go)`);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: 'Simulated failure' }));
+        } else {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: true }));
+        }
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}` +
+        `${secret ? ', checking signatures' : ''}${failures ? `, failing the first ${failures} deliveries` : ''}`);
+});
@@ -0,0 +1,294 @@
+// Trending Parser Module
+// Parses GitHub trending pages with per-field extractors and reports which strategies each parse relied on
+
+class TrendingParser {
+    constructor() {
+        // Bump when the extractors change so diagnostics can be traced to a parser release
+        this.version = 2;
+
+        // Selectors for repository rows, most specific first
+        this.articleStrategies = [
+            { name: 'article.Box-row', select: doc => doc.querySelectorAll('article.Box-row') },
+            { name: 'article in Box', select: doc => doc.querySelectorAll('.Box article') },
+            { name: 'any article with a title link', select: doc =>
+                Array.from(doc.querySelectorAll('article')).filter(article => article.querySelector('h2 a, h1 a')) }
+        ];
+
+        // Field extractors: strategies are tried in order, the first one is the expected markup.
+        // A strategy returns null when it finds nothing. A repository without a title is skipped; other required
+        // fields default to 0 when missing and mark the parse outdated. Optional fields are legitimately absent
+        // on some repositories.
+        this.extractors = {
+            title: {
+                required: true,
+                strategies: [
+                    { name: 'h2.h3 a', extract: article => this.parseTitleLink(article.querySelector('h2.h3 a')) },
+                    { name: 'h2 a', extract: article => this.parseTitleLink(article.querySelector('h2 a')) },
+                    { name: 'first owner/repo link', extract: article => this.parseTitleLink(
+                        Array.from(article.querySelectorAll('a[href]')).find(link => /^\/[^/]+\/[^/]+$/.test(link.getAttribute('href')))
+                    ) }
+                ]
+            },
+            description: {
+                required: false,
+                strategies: [
+                    { name: 'p.col-9', extract: article => this.textOrNull(article.querySelector('p.col-9')) },
+                    { name: 'first paragraph', extract: article => this.textOrNull(article.querySelector('p')) }
+                ]
+            },
+            stargazers_count: {
+                required: true,
+                strategies: [
+                    { name: 'a[href$="/stargazers"]', extract: article => this.parseCount(article.querySelector('a[href$="/stargazers"]')) },
+                    { name: 'a[href*="stargazers"]', extract: article => this.parseCount(article.querySelector('a[href*="stargazers"]')) }
+                ]
+            },
+            forks_count: {
+                required: false,
+                strategies: [
+                    { name: 'a[href$="/forks"]', extract: article => this.parseCount(article.querySelector('a[href$="/forks"]')) },
+                    { name: 'a[href*="/network/members"]', extract: article => this.parseCount(article.querySelector('a[href*="/network/members"]')) }
+                ]
+            },
+            language: {
+                required: false,
+                strategies: [
+                    { name: 'span[itemprop="programmingLanguage"]', extract: article =>
+                        this.textOrNull(article.querySelector('span[itemprop="programmingLanguage"]')) },
+                    { name: 'span after .repo-language-color', extract: article =>
+                        this.textOrNull(article.querySelector('.repo-language-color')?.nextElementSibling) }
+                ]
+            },
+            period_stars: {
+                required: true,
+                strategies: [
+                    { name: 'span.d-inline-block.float-sm-right', extract: article =>
+                        this.parsePeriodStars(article.querySelector('span.d-inline-block.float-sm-right')) },
+                    { name: 'span.float-sm-right', extract: article =>
+                        this.parsePeriodStars(article.querySelector('span.float-sm-right')) },
+                    { name: 'span[class*="float"]', extract: article =>
+                        this.parsePeriodStars(article.querySelector('span[class*="float"]')) },
+                    { name: 'span text', extract: article => Array.from(article.querySelectorAll('span'))
+                        .map(span => this.parsePeriodStars(span))
+                        .find(Boolean) || null }
+                ]
+            },
+            avatar_url: {
+                required: false,
+                strategies: [
+                    { name: 'img[src*="avatars"]', extract: article => article.querySelector('img[src*="avatars"]')?.getAttribute('src') || null },
+                    { name: 'owner avatar URL', extract: (article, repo) => `https://github.com/${repo.owner}.png?size=40` }
+                ]
+            },
+            developers: {
+                required: false,
+                strategies: [
+                    { name: 'Built by links', extract: article => this.parseDevelopers(article) }
+                ]
+            }
+        };
+    }
+
+    // Trimmed text of an element, or null when missing or empty
+    textOrNull(element) {
+        const text = element?.textContent.replace(/\s+/g, ' ').trim();
+        return text || null;
+    }
+
+    // Parse a number like "12,345" from an element
+    parseCount(element) {
+        const match = element?.textContent.match(/\d[\d,]*/);
+        return match ? parseInt(match[0].replace(/,/g, ''), 10) : null;
+    }
+
+    // Parse owner, name and link from a repository title link
+    parseTitleLink(link) {
+        const href = link?.getAttribute('href');
+        const match = href && href.match(/^\/([^/]+)\/([^/?#]+)/);
+        if (!match) return null;
+        return { owner: match[1], name: match[2], href: `/${match[1]}/${match[2]}` };
+    }
+
+    // Parse "123 stars today" style text from an element
+    parsePeriodStars(element) {
+        const match = element?.textContent.match(/(\d+(?:,\d+)*)\s+stars?\s+(today|this week|this month)/i);
+        return match ? { count: parseInt(match[1].replace(/,/g, ''), 10), range: match[2].toLowerCase() } : null;
+    }
+
+    // Parse up to five contributors from the "Built by" block
+    parseDevelopers(article) {
+        const builtBy = Array.from(article.querySelectorAll('span')).find(span => span.textContent.trim().includes('Built by'));
+        if (!builtBy) return null;
+
+        const links = Array.from((builtBy.parentElement || builtBy).querySelectorAll('a[href^="/"]'));
+        const developers = links
+            .filter(link => link.querySelector('img'))
+            .slice(0, 5)
+            .map(link => ({
+                username: link.getAttribute('href').substring(1),
+                avatar_url: link.querySelector('img').getAttribute('src'),
+                profile_url: `https://github.com${link.getAttribute('href')}`
+            }));
+        return developers.length > 0 ? developers : null;
+    }
+
+    // Create an empty diagnostics report
+    createDiagnostics() {
+        const fields = {};
+        Object.keys(this.extractors).forEach(field => {
+            fields[field] = { strategies: {}, fallback: 0, missing: 0 };
+        });
+        return {
+            parserVersion: this.version,
+            parsedAt: Date.now(),
+            articleStrategy: null,
+            articleCount: 0,
+            parsedCount: 0,
+            emptyPage: false,
+            skipped: [],
+            fields,
+            warnings: [],
+            outdated: false
+        };
+    }
+
+    // Run a field's strategies in order, recording which one succeeded
+    extractField(field, article, repo, diagnostics) {
+        const { strategies } = this.extractors[field];
+        const stats = diagnostics.fields[field];
+
+        for (let i = 0; i < strategies.length; i++) {
+            let value = null;
+            try {
+                value = strategies[i].extract(article, repo);
+            } catch (error) {
+                value = null;
+            }
+            if (value !== null && value !== undefined) {
+                stats.strategies[strategies[i].name] = (stats.strategies[strategies[i].name] || 0) + 1;
+                if (i > 0) stats.fallback++;
+                return value;
+            }
+        }
+
+        stats.missing++;
+        return null;
+    }
+
+    // Find repository rows, recording the selector that matched
+    selectArticles(doc, diagnostics) {
+        for (const strategy of this.articleStrategies) {
+            const articles = Array.from(strategy.select(doc));
+            if (articles.length > 0) {
+                diagnostics.articleStrategy = strategy.name;
+                return articles;
+            }
+        }
+        return [];
+    }
+
+    // Parse a single repository row, or return null when its title link is missing
+    parseArticle(article, index, diagnostics) {
+        const title = this.extractField('title', article, null, diagnostics);
+        if (!title) {
+            diagnostics.skipped.push({ index, reason: 'title link not found' });
+            return null;
+        }
+
+        const repo = { owner: title.owner };
+        const description = this.extractField('description', article, repo, diagnostics);
+        const stars = this.extractField('stargazers_count', article, repo, diagnostics);
+        const forks = this.extractField('forks_count', article, repo, diagnostics);
+        const language = this.extractField('language', article, repo, diagnostics);
+        const periodStars = this.extractField('period_stars', article, repo, diagnostics);
+        const avatar = this.extractField('avatar_url', article, repo, diagnostics);
+        const developers = this.extractField('developers', article, repo, diagnostics);
+
+        return {
+            full_name: `${title.owner}/${title.name}`,
+            description: description || '',
+            stargazers_count: stars || 0,
+            html_url: `https://github.com${title.href}`,
+            language: language || '',
+            forks_count: forks || 0,
+            period_stars: periodStars ? periodStars.count : 0,
+            period_range: periodStars ? periodStars.range : '',
+            avatar_url: avatar,
+            owner: title.owner,
+            developers: developers || []
+        };
+    }
+
+    // Decide whether the markup looks different from what the extractors expect
+    assess(diagnostics) {
+        const { warnings } = diagnostics;
+
+        if (diagnostics.articleCount === 0) {
+            if (!diagnostics.emptyPage) {
+                warnings.push('No repository rows found on the page');
+            }
+        } else {
+            if (diagnostics.articleStrategy !== this.articleStrategies[0].name) {
+                warnings.push(`Repository rows matched "${diagnostics.articleStrategy}" instead of "${this.articleStrategies[0].name}"`);
+            }
+            if (diagnostics.skipped.length > 0) {
+                warnings.push(`${diagnostics.skipped.length} of ${diagnostics.articleCount} rows skipped: ${diagnostics.skipped[0].reason}`);
+            }
+
+            const parsed = diagnostics.parsedCount;
+            Object.entries(diagnostics.fields).forEach(([field, stats]) => {
+                if (field === 'title' || parsed === 0) return;
+                if (this.extractors[field].required && stats.missing > 0) {
+                    warnings.push(`"${field}" missing on ${stats.missing} of ${parsed} repositories`);
+                } else if (stats.fallback * 2 > parsed) {
+                    warnings.push(`"${field}" needed a fallback selector on ${stats.fallback} of ${parsed} repositories`);
+                }
+            });
+        }
+
+        diagnostics.outdated = warnings.length > 0;
+    }
+
+    // Parse the language filter dropdown into { name, slug } pairs (slug as used in trending URLs)
+    // Returns an empty list when the dropdown can't be found
+    parseLanguageOptions(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const menu = doc.querySelector('#select-menu-language') ||
+            Array.from(doc.querySelectorAll('details')).find(details =>
+                /^\s*Language/i.test(details.querySelector('summary')?.textContent || ''));
+        if (!menu) return [];
+
+        const languages = new Map(); // slug -> name
+        menu.querySelectorAll('a[href*="/trending/"]').forEach(link => {
+            const match = link.getAttribute('href').match(/\/trending\/([^/?#]+)/);
+            const name = this.textOrNull(link.querySelector('.select-menu-item-text')) || this.textOrNull(link);
+            if (!match || !name || match[1] === 'developers' || languages.has(match[1])) return;
+            languages.set(match[1], name);
+        });
+        return Array.from(languages, ([slug, name]) => ({ name, slug }));
+    }
+
+    // Parse trending HTML into repositories and a diagnostics report
+    parse(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const diagnostics = this.createDiagnostics();
+
+        const articles = this.selectArticles(doc, diagnostics);
+        diagnostics.articleCount = articles.length;
+        // GitHub shows a blank slate when a language has nothing trending
+        diagnostics.emptyPage = articles.length === 0 && /any trending repositories/i.test(doc.body?.textContent || '');
+
+        const repos = articles
+            .map((article, index) => this.parseArticle(article, index, diagnostics))
+            .filter(Boolean);
+        diagnostics.parsedCount = repos.length;
+
+        this.assess(diagnostics);
+        return { repos, diagnostics };
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.TrendingParser = TrendingParser;
+}
@@ -9,29 +9,114 @@ class UIComponents {
             'weekly': 'This week',
             'monthly': 'This month'
         };
+        this.sortOrders = {
+            'trending': 'Trending order',
+            'period_stars': 'Period stars',
+            'stargazers_count': 'Total stars',
+            'forks_count': 'Forks',
+            'momentum': 'Momentum',
+            'stars_per_hour': 'Stars per hour'
+        };
+        this.risingSortOrders = {
+            'stars_per_hour': 'Stars per hour',
+            'acceleration': 'Acceleration'
+        };
     }
 
-    // Generate CSS class name for language
-    getLanguageClass(language) {
-        if (!language) return 'language-custom';
-        
-        // Check if it's a predefined language
-        const predefinedLanguages = window.LanguageSettings.AVAILABLE_LANGUAGES;
-        if (predefinedLanguages && predefinedLanguages.includes(language)) {
-            // Map languages with special characters to CSS-safe names
-            const languageClassMap = {
-                'C#': 'CSharp',
-                'C++': 'CPlusPlus',
-                'F#': 'FSharp',
-                'Objective-C': 'ObjectiveC'
-            };
-            
-            const safeName = languageClassMap[language] || language.replace(/\\s+/g, '');
-            return `language-${safeName}`;
-        }
-        
-        // Custom language - use default class
-        return 'language-custom';
+    // Get a sorted copy of repositories ('trending' keeps GitHub's order)
+    // Momentum is period stars relative to total stars, surfacing small projects that are taking off
+    // Stars per hour needs velocity (a StarVelocity); repositories without samples sort last
+    sortRepos(repos, sortBy, velocity = null) {
+        const momentum = repo => repo.stargazers_count > 0 ? (repo.period_stars || 0) / repo.stargazers_count : 0;
+        const value = {
+            'period_stars': repo => repo.period_stars || 0,
+            'stargazers_count': repo => repo.stargazers_count || 0,
+            'forks_count': repo => repo.forks_count || 0,
+            'momentum': momentum,
+            'stars_per_hour': repo => velocity ? velocity.getStarsPerHour(repo.full_name) : 0
+        }[sortBy];
+
+        if (!value) return repos.slice();
+        return repos.slice().sort((a, b) => value(b) - value(a));
+    }
+
+    // Create per-section sort order selector (sortOrders defaults to the language section orders)
+    createSortSelect(currentSortOrder, onSortChange, sortOrders = this.sortOrders) {
+        const select = document.createElement('select');
+        select.className = 'mr-3 px-2 py-1 text-sm border border-gray-300 rounded-md bg-white';
+        select.title = 'Sort repositories';
+        select.innerHTML = Object.entries(sortOrders).map(([value, label]) =>
+            `<option value="${value}">${label}</option>`
+        ).join('');
+        select.value = currentSortOrder;
+
+        select.addEventListener('click', (e) => e.stopPropagation());
+        select.addEventListener('change', () => onSortChange(select.value));
+        return select;
+    }
+
+    // HTML for a language color dot ('language-indicator' is the larger dot in section headers)
+    // Dots remember their language so recolorLanguageDots can apply changed colors
+    createLanguageDotHTML(language, className = 'language-dot') {
+        const color = window.LanguageSettings.getLanguageColor(language);
+        return `<span class="${className}" data-dot-language="${this.escapeHTML(language || '')}" style="background-color: ${color}"></span>`;
+    }
+
+    // Apply the current language colors to every dot inside an element
+    recolorLanguageDots(root) {
+        root.querySelectorAll('[data-dot-language]').forEach(dot => {
+            dot.style.backgroundColor = window.LanguageSettings.getLanguageColor(dot.dataset.dotLanguage);
+        });
+    }
+
+    // Inline SVG sparkline of star counts over time ([{ t, stars }], oldest first)
+    createSparklineSVG(points, width = 64, height = 18) {
+        if (points.length < 2) return '';
+
+        const start = points[0].t;
+        const duration = points[points.length - 1].t - start || 1;
+        const counts = points.map(point => point.stars);
+        const min = Math.min(...counts);
+        const range = Math.max(...counts) - min || 1;
+        const coordinates = points.map(point => {
+            const x = 1 + (point.t - start) / duration * (width - 2);
+            const y = height - 1 - (point.stars - min) / range * (height - 2);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+
+        return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+            <polyline points="${coordinates}" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round" stroke-linecap="round"/>
+        </svg>`;
+    }
+
+    // Stars-per-hour label with a sparkline (velocity from StarVelocity.get)
+    createVelocityHTML(velocity) {
+        if (!velocity) return '';
+
+        const rate = velocity.starsPerHour < 10 ?
+            velocity.starsPerHour.toFixed(1) :
+            Math.round(velocity.starsPerHour).toLocaleString();
+        const acceleration = velocity.acceleration;
+        const trend = acceleration > 0 ? ' ▲' : acceleration < 0 ? ' ▼' : '';
+        const title = velocity.estimated ?
+            'Estimated from stars this period; measured once the repository was seen over an hour or more' :
+            `Measured over ${velocity.points.length} samples` +
+                (acceleration !== null ? `, ${acceleration >= 0 ? '+' : ''}${acceleration.toFixed(2)} stars/hour each hour` : '');
+
+        return `<span class="velocity flex items-center text-green-700" title="${title}">
+            ${this.createSparklineSVG(velocity.points)}
+            <span class="ml-1">${velocity.estimated ? '~' : ''}${rate} stars/hour${trend}</span>
+        </span>`;
+    }
+
+    // Escape text for safe use inside HTML templates
+    escapeHTML(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     // Create loading overlay
@@ -87,10 +172,102 @@ class UIComponents {
         return buttonGroup;
     }
 
+    // Create per-section spoken language selector
+    // spokenLanguage: { override, defaultCode, onChange } where override is undefined when the default applies
+    createSpokenLanguageSelect(spokenLanguage) {
+        const settings = window.LanguageSettings;
+        const select = document.createElement('select');
+        select.className = 'mr-3 px-2 py-1 text-sm border border-gray-300 rounded-md bg-white';
+        select.title = 'Spoken language';
+        select.innerHTML = [
+            `<option value="default">Default (${settings.getSpokenLanguageName(spokenLanguage.defaultCode)})</option>`,
+            '<option value="">Any</option>',
+            ...settings.SPOKEN_LANGUAGES.map(item => `<option value="${item.code}">${item.name}</option>`)
+        ].join('');
+        select.value = spokenLanguage.override === undefined ? 'default' : spokenLanguage.override;
+
+        select.addEventListener('click', (e) => e.stopPropagation());
+        select.addEventListener('change', () => {
+            spokenLanguage.onChange(select.value === 'default' ? undefined : select.value);
+        });
+
+        return select;
+    }
+
+    // Create an export dropdown listing every format with download and copy actions
+    // onExport(format, action) runs the export; action is 'download' or 'copy'
+    createExportMenu(formats, onExport, buttonClass = 'px-3 py-1 text-sm font-medium bg-gray-100 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-200') {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'export-menu relative';
+
+        const button = document.createElement('button');
+        button.className = buttonClass;
+        button.textContent = 'Export';
+
+        const menu = document.createElement('div');
+        menu.className = 'absolute right-0 mt-2 w-56 bg-white border border-gray-200 rounded-md shadow-lg z-20 hidden';
+        menu.innerHTML = Object.entries(formats).map(([format, info]) => `
+            <div class="flex items-center justify-between px-3 py-2 text-sm text-gray-700 hover:bg-gray-50">
+                <span>${info.label}</span>
+                <span class="space-x-2">
+                    <button class="text-blue-600 hover:text-blue-800" data-format="${format}" data-action="download">Download</button>
+                    <button class="text-blue-600 hover:text-blue-800" data-format="${format}" data-action="copy">Copy</button>
+                </span>
+            </div>
+        `).join('');
+
+        // Keep clicks from toggling a section header
+        wrapper.addEventListener('click', (e) => e.stopPropagation());
+
+        button.addEventListener('click', () => {
+            const opening = menu.classList.contains('hidden');
+            menu.classList.toggle('hidden');
+            if (opening) {
+                document.addEventListener('click', () => menu.classList.add('hidden'), { once: true });
+            }
+        });
+
+        menu.addEventListener('click', async (e) => {
+            const item = e.target.closest('[data-format]');
+            if (!item) return;
+            menu.classList.add('hidden');
+
+            try {
+                await onExport(item.dataset.format, item.dataset.action);
+                button.textContent = item.dataset.action === 'copy' ? 'Copied!' : 'Exported';
+                setTimeout(() => { button.textContent = 'Export'; }, 1500);
+            } catch (error) {
+                console.error('Export failed:', error);
+                alert(`Export failed: ${error.message}`);
+            }
+        });
+
+        wrapper.appendChild(button);
+        wrapper.appendChild(menu);
+        return wrapper;
+    }
+
     // Create repository card
-    createRepositoryCard(repo, language) {
+    // options.watchMatches lists the watch rules this repository matches
+    // options.readingList adds a bookmark toggle backed by the reading list
+    // options.stars adds a GitHub star toggle (see StarManager)
+    // options.isNew adds a "New" badge for repositories not seen on the last visit
+    // options.mute adds a menu to mute or unmute the repository (see createCardMenu); options.muted dims the card
+    createRepositoryCard(repo, language, options = {}) {
         const card = document.createElement('div');
         card.className = 'repo-card bg-gray-50 rounded-lg p-4 hover:shadow-md transition-shadow';
+        card.dataset.repo = repo.full_name;
+        // Used by the filter bar (data-language is reserved for sections)
+        card.dataset.search = `${repo.full_name} ${repo.description || ''}`.toLowerCase();
+        card.dataset.stars = repo.stargazers_count;
+        card.dataset.periodStars = repo.period_stars || 0;
+        card.dataset.repoLanguage = repo.language || '';
+        card.dataset.hasDescription = Boolean(repo.description);
+
+        const velocity = options.velocity ? options.velocity.get(repo.full_name) : null;
+        if (velocity) {
+            card.dataset.starsPerHour = velocity.starsPerHour.toFixed(2);
+        }
 
         const stars = repo.stargazers_count.toLocaleString();
         const forks = repo.forks_count.toLocaleString();
@@ -100,8 +277,8 @@ class UIComponents {
         const displayLanguage = language || repo.language;
         const languageHtml = displayLanguage ? 
             `<span class="flex items-center text-gray-600 text-xs mr-4">
-                <span class="language-dot ${this.getLanguageClass(displayLanguage)}"></span>
-                ${displayLanguage}
+                ${this.createLanguageDotHTML(displayLanguage)}
+                ${this.escapeHTML(displayLanguage)}
             </span>` : '';
 
         // Generate period stars HTML - show if we have period stars or period range
@@ -110,13 +287,8 @@ class UIComponents {
                 <svg class="w-3 h-3 mr-1" fill="currentColor" viewBox="0 0 20 20">
                     <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"/>
                 </svg>
-                ${repo.period_stars > 0 ? repo.period_stars.toLocaleString() : '0'} stars ${repo.period_range || 'today'}
+                ${repo.period_stars > 0 ? repo.period_stars.toLocaleString() : '0'} stars ${this.escapeHTML(repo.period_range || 'today')}
             </span>` : '';
-            
-        // Debug logging for UI
-        if (repo.period_stars || repo.period_range) {
-            console.log(`UI rendering period stars: ${repo.period_stars} ${repo.period_range} for ${repo.full_name}`);
-        }
 
         // Generate developers HTML
         const developersHtml = repo.developers && repo.developers.length > 0 ? 
@@ -124,8 +296,8 @@ class UIComponents {
                 <span class="mr-2">Built by</span>
                 <div class="flex items-center space-x-1">
                     ${repo.developers.map(dev => 
-                        `<a href="${dev.profile_url}" target="_blank" title="@${dev.username}" class="hover:opacity-80">
-                            <img src="${dev.avatar_url}" alt="@${dev.username}" class="w-5 h-5 rounded-full">
+                        `<a href="${this.escapeHTML(dev.profile_url)}" target="_blank" title="@${this.escapeHTML(dev.username)}" class="hover:opacity-80">
+                            <img src="${this.escapeHTML(dev.avatar_url)}" alt="@${this.escapeHTML(dev.username)}" class="w-5 h-5 rounded-full">
                         </a>`
                     ).join('')}
                 </div>
@@ -137,13 +309,16 @@ class UIComponents {
                     <path d="M2 2.5A2.5 2.5 0 0 1 4.5 0h8.75a.75.75 0 0 1 .75.75v12.5a.75.75 0 0 1-.75.75h-2.5a.75.75 0 1 1 0-1.5h1.75v-2h-8a1 1 0 0 0-.714 1.7.75.75 0 0 1-1.072 1.05A2.495 2.495 0 0 1 2 11.5v-9zm10.5-1V9h-8c-.356 0-.694.074-1 .208V2.5a1 1 0 0 1 1-1h8zM5 12.25v3.25a.25.25 0 0 0 .4.2l1.45-1.087a.25.25 0 0 1 .3 0L8.6 15.7a.25.25 0 0 0 .4-.2v-3.25a.25.25 0 0 0-.25-.25h-3.5a.25.25 0 0 0-.25.25z"/>
                 </svg>
                 <div class="flex-1">
-                    <a href="${repo.html_url}" target="_blank" class="text-lg font-medium text-blue-600 hover:text-blue-800">
-                        ${repo.full_name}
+                    <a href="${this.escapeHTML(repo.html_url)}" target="_blank" class="text-lg font-medium text-blue-600 hover:text-blue-800">
+                        ${this.escapeHTML(repo.full_name)}
                     </a>
+                    ${options.isNew ? '<span class="new-badge ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-800">New</span>' : ''}
+                    ${options.muted ? '<span class="muted-badge ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-gray-200 text-gray-700">Muted</span>' : ''}
                     ${developersHtml}
                 </div>
+                <div class="card-actions flex items-center flex-shrink-0 ml-2"></div>
             </div>
-            <p class="text-gray-600 text-sm mb-3 line-clamp-2">${description}</p>
+            <p class="text-gray-600 text-sm mb-3 line-clamp-2">${this.escapeHTML(description)}</p>
             <div class="flex flex-wrap items-center gap-4 text-xs mb-2">
                 ${languageHtml}
                 <span class="flex items-center text-gray-600">
@@ -159,14 +334,295 @@ class UIComponents {
                     ${forks}
                 </span>
             </div>
-            ${periodStarsHtml ? `<div class="mt-2">${periodStarsHtml}</div>` : ''}
+            ${periodStarsHtml || velocity ? `<div class="flex flex-wrap items-center gap-4 text-xs mt-2">${periodStarsHtml}${this.createVelocityHTML(velocity)}</div>` : ''}
         `;
 
+        this.setWatchHighlight(card, options.watchMatches || []);
+        if (options.stars) {
+            card.querySelector('.card-actions').appendChild(this.createStarButton(repo, options.stars));
+        }
+        if (options.readingList) {
+            card.querySelector('.card-actions').appendChild(this.createBookmarkButton(repo, options.readingList));
+        }
+        if (options.mute) {
+            card.querySelector('.card-actions').appendChild(this.createCardMenu(repo, options.mute));
+        }
+        card.classList.toggle('opacity-60', Boolean(options.muted));
+
         return card;
     }
 
+    // Create a card's menu with mute actions
+    // mute.muteList holds the rules; mute.onChange() runs after a rule was added or removed
+    createCardMenu(repo, mute) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'card-menu relative';
+
+        const button = document.createElement('button');
+        button.className = 'p-1 rounded hover:bg-gray-200 text-gray-400';
+        button.title = 'More actions';
+        button.innerHTML = `
+            <svg class="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                <path d="M10 6a2 2 0 110-4 2 2 0 010 4zm0 6a2 2 0 110-4 2 2 0 010 4zm0 6a2 2 0 110-4 2 2 0 010 4z"></path>
+            </svg>
+        `;
+
+        const menu = document.createElement('div');
+        menu.className = 'absolute right-0 mt-2 w-64 bg-white border border-gray-200 rounded-md shadow-lg z-20 hidden';
+        const owner = repo.owner || repo.full_name.split('/')[0];
+        const itemClass = 'block w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-50';
+
+        // Offer to unmute when a rule already hides the repository
+        const renderItems = () => {
+            const rule = mute.muteList.matchRepo(repo);
+            menu.innerHTML = rule ?
+                `<button class="${itemClass}" data-action="unmute">
+                    Unmute (${mute.muteList.types[rule.type].toLowerCase()} ${this.escapeHTML(mute.muteList.describeRule(rule))})
+                </button>` :
+                `<button class="${itemClass}" data-action="full_name">Mute ${this.escapeHTML(repo.full_name)}</button>
+                <button class="${itemClass}" data-action="owner">Mute everything by ${this.escapeHTML(owner)}</button>`;
+        };
+
+        // Keep clicks from reaching the card or the section header
+        wrapper.addEventListener('click', (e) => e.stopPropagation());
+
+        button.addEventListener('click', () => {
+            const opening = menu.classList.contains('hidden');
+            if (opening) {
+                renderItems();
+                document.addEventListener('click', () => menu.classList.add('hidden'), { once: true });
+            }
+            menu.classList.toggle('hidden');
+        });
+
+        menu.addEventListener('click', async (e) => {
+            const item = e.target.closest('[data-action]');
+            if (!item) return;
+            menu.classList.add('hidden');
+
+            try {
+                if (item.dataset.action === 'unmute') {
+                    const rule = mute.muteList.matchRepo(repo);
+                    await mute.muteList.removeRule(rule.id);
+                    this.showToast(`Removed mute rule ${mute.muteList.describeRule(rule)}`, {
+                        actionLabel: 'Undo',
+                        onAction: async () => {
+                            await mute.muteList.addRule(rule.type, rule.value);
+                            mute.onChange();
+                        }
+                    });
+                } else {
+                    const rule = await mute.muteList.addRule(item.dataset.action, item.dataset.action === 'owner' ? owner : repo.full_name);
+                    this.showToast(`Muted ${mute.muteList.describeRule(rule)}`, {
+                        actionLabel: 'Undo',
+                        onAction: async () => {
+                            await mute.muteList.removeRule(rule.id);
+                            mute.onChange();
+                        }
+                    });
+                }
+                mute.onChange();
+            } catch (error) {
+                this.showToast(error.message, { type: 'error' });
+            }
+        });
+
+        wrapper.appendChild(button);
+        wrapper.appendChild(menu);
+        return wrapper;
+    }
+
+    // Create a bookmark toggle that saves a repository to the reading list
+    createBookmarkButton(repo, readingList) {
+        const button = document.createElement('button');
+        button.className = 'bookmark-btn p-1 rounded hover:bg-gray-200';
+
+        this.renderBookmarkButton(button, readingList.has(repo.full_name));
+        button.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            this.renderBookmarkButton(button, await readingList.toggle(repo));
+        });
+
+        return button;
+    }
+
+    // Render a bookmark toggle as saved or not saved
+    renderBookmarkButton(button, saved) {
+        button.title = saved ? 'Remove from reading list' : 'Save to reading list';
+        button.classList.toggle('text-blue-600', saved);
+        button.classList.toggle('text-gray-400', !saved);
+        button.innerHTML = `
+            <svg class="w-5 h-5" fill="${saved ? 'currentColor' : 'none'}" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z"></path>
+            </svg>
+        `;
+    }
+
+    // Highlight a card that matches watch rules (or clear the highlight)
+    setWatchHighlight(card, matches) {
+        card.querySelector('.watch-badges')?.remove();
+        card.classList.toggle('watch-hit', matches.length > 0);
+        if (matches.length === 0) return;
+
+        const badges = document.createElement('div');
+        badges.className = 'watch-badges flex flex-wrap gap-1 mb-2';
+        badges.innerHTML = matches.map(rule =>
+            `<span class="px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800" title="Watch rule">
+                ${rule.isRegex ? '/' + this.escapeHTML(rule.pattern) + '/' : this.escapeHTML(rule.pattern)}
+            </span>`
+        ).join('');
+        card.prepend(badges);
+    }
+
+    // Describe how long ago a date was, e.g. "3 days ago"
+    formatRelativeDate(dateString) {
+        const days = Math.floor((Date.now() - new Date(dateString).getTime()) / (24 * 60 * 60 * 1000));
+        if (days < 1) return 'today';
+        if (days < 30) return `${days} day${days === 1 ? '' : 's'} ago`;
+        if (days < 365) return `${Math.floor(days / 30)} month${days < 60 ? '' : 's'} ago`;
+        return `${Math.floor(days / 365)} year${days < 730 ? '' : 's'} ago`;
+    }
+
+    // Describe the age of a timestamp in minutes, hours or days, e.g. "3 hours ago"
+    formatAge(timestamp) {
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+        if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+        return `${Math.floor(hours / 24)} days ago`;
+    }
+
+    // Show GitHub REST API metadata (see RepoEnricher) on a repository card
+    setRepoMetadata(card, metadata) {
+        card.querySelector('.repo-metadata')?.remove();
+        card.dataset.enriched = 'true';
+        if (!metadata) return;
+
+        const details = [
+            metadata.license ? `<span title="License">${this.escapeHTML(metadata.license)}</span>` : '',
+            metadata.created_at ? `<span title="${new Date(metadata.created_at).toLocaleDateString()}">Created ${this.formatRelativeDate(metadata.created_at)}</span>` : '',
+            metadata.pushed_at ? `<span title="${new Date(metadata.pushed_at).toLocaleDateString()}">Last push ${this.formatRelativeDate(metadata.pushed_at)}</span>` : '',
+            typeof metadata.open_issues_count === 'number' ? `<span>${metadata.open_issues_count.toLocaleString()} open issues</span>` : ''
+        ].filter(Boolean);
+
+        const block = document.createElement('div');
+        block.className = 'repo-metadata mt-2 text-xs text-gray-500';
+        block.innerHTML = `
+            ${metadata.topics.length > 0 ? `<div class="flex flex-wrap gap-1 mb-2">
+                ${metadata.topics.slice(0, 6).map(topic =>
+                    `<span class="px-2 py-0.5 rounded-full bg-blue-50 text-blue-700">${this.escapeHTML(topic)}</span>`
+                ).join('')}
+            </div>` : ''}
+            <div class="flex flex-wrap items-center gap-3">
+                ${metadata.archived ? '<span class="px-2 py-0.5 rounded-full bg-red-100 text-red-800 font-medium">Archived</span>' : ''}
+                ${details.join('<span>&middot;</span>')}
+            </div>
+        `;
+        card.appendChild(block);
+    }
+
+    // Create a toggle that stars or unstars a repository on GitHub, with undo
+    createStarButton(repo, stars) {
+        const button = document.createElement('button');
+        button.className = 'star-btn p-1 rounded hover:bg-gray-200';
+
+        const toggle = async (starred) => {
+            button.disabled = true;
+            try {
+                await stars.setStarred(repo.full_name, starred);
+                this.syncStarButtons(repo.full_name, starred);
+                return true;
+            } catch (error) {
+                this.showToast(error.message, { type: 'error' });
+                return false;
+            } finally {
+                button.disabled = false;
+            }
+        };
+
+        this.renderStarButton(button, stars.isStarred(repo.full_name));
+        button.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const starred = !stars.isStarred(repo.full_name);
+            if (await toggle(starred)) {
+                this.showToast(`${starred ? 'Starred' : 'Unstarred'} ${repo.full_name}`, {
+                    actionLabel: 'Undo',
+                    onAction: () => toggle(!starred)
+                });
+            }
+        });
+
+        return button;
+    }
+
+    // Render a star toggle as starred, not starred or unknown (null, while the starred list loads)
+    renderStarButton(button, starred) {
+        button.title = starred === null ? 'Star on GitHub' : starred ? 'Unstar on GitHub' : 'Star on GitHub';
+        button.classList.toggle('text-yellow-500', starred === true);
+        button.classList.toggle('text-gray-400', starred !== true);
+        button.innerHTML = `
+            <svg class="w-5 h-5" fill="${starred ? 'currentColor' : 'none'}" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z"></path>
+            </svg>
+        `;
+    }
+
+    // Update every star toggle for a repository (it can appear in several sections)
+    syncStarButtons(fullName, starred) {
+        document.querySelectorAll('.repo-card[data-repo]').forEach(card => {
+            const button = card.querySelector('.star-btn');
+            if (button && card.dataset.repo === fullName) {
+                this.renderStarButton(button, starred);
+            }
+        });
+    }
+
+    // Show a short-lived message at the bottom of the page
+    // options.actionLabel and options.onAction add a button (e.g. Undo); options.type 'error' styles it as a failure
+    showToast(message, options = {}) {
+        let container = document.getElementById('toast-container');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'toast-container';
+            container.className = 'fixed bottom-4 left-1/2 transform -translate-x-1/2 z-50 space-y-2';
+            document.body.appendChild(container);
+        }
+
+        const toast = document.createElement('div');
+        toast.className = `flex items-center px-4 py-2 rounded-lg shadow-lg text-sm text-white ${
+            options.type === 'error' ? 'bg-red-600' : 'bg-gray-800'
+        }`;
+        toast.innerHTML = `<span>${this.escapeHTML(message)}</span>`;
+
+        const timer = setTimeout(() => toast.remove(), options.type === 'error' ? 8000 : 5000);
+        if (options.actionLabel) {
+            const action = document.createElement('button');
+            action.className = 'ml-4 font-medium text-blue-300 hover:text-blue-200';
+            action.textContent = options.actionLabel;
+            action.addEventListener('click', () => {
+                clearTimeout(timer);
+                toast.remove();
+                options.onAction();
+            });
+            toast.appendChild(action);
+        }
+
+        container.appendChild(toast);
+    }
+
     // Create language section
-    createLanguageSection(language, repos, onTimeRangeChange, sectionTimeRanges) {
+    // options.spokenLanguage adds a spoken language override selector (see createSpokenLanguageSelect)
+    // options.watchRules highlights repositories matching the user's watch rules
+    // options.readingList adds bookmark toggles to the cards; options.stars adds GitHub star toggles
+    // options.velocity (a StarVelocity) adds stars per hour with a sparkline to the cards
+    // options.isNew(repo) flags repositories new since the last visit; options.hideSeen hides the others
+    // (only pass hideSeen for sections with a baseline, or every repository would be hidden)
+    // options.exportMenu is an export dropdown (see createExportMenu) added next to the time range buttons
+    // options.sectionSortOrders (section key -> sort order) adds a sort selector; options.onSortChange(sortBy) persists it
+    // options.staleSince (timestamp) marks repos as the last known result after a failed fetch
+    // options.mute (see createCardMenu) hides muted repositories behind an "N hidden" toggle and adds card menus
+    // options.onExpand runs whenever the user expands the section
+    createLanguageSection(language, repos, onTimeRangeChange, sectionTimeRanges, options = {}) {
         const section = document.createElement('div');
         section.className = 'language-section bg-white rounded-lg shadow-lg p-6 relative';
 
@@ -179,14 +635,50 @@ class UIComponents {
         const titleDiv = document.createElement('div');
         titleDiv.className = 'flex items-center';
         titleDiv.innerHTML = language ?
-            `<span class="language-indicator ${this.getLanguageClass(language)}"></span>
+            `${this.createLanguageDotHTML(language, 'language-indicator')}
             <h2 class="text-2xl font-bold text-gray-800">${language}</h2>` :
             `<h2 class="text-2xl font-bold text-gray-800">Overall Trending</h2>`;
 
+        if (options.staleSince) {
+            section.dataset.stale = 'true';
+            titleDiv.insertAdjacentHTML('beforeend',
+                `<span class="stale-badge ml-3 px-2 py-0.5 text-sm rounded-full bg-yellow-100 text-yellow-800" title="Fetched ${new Date(options.staleSince).toLocaleString()}">Stale</span>`);
+        }
+
+        const getMuteRule = repo => options.mute ? options.mute.muteList.matchRepo(repo) : null;
+        const newRepos = options.isNew ? repos.filter(repo => options.isNew(repo)) : [];
+        // Muted repositories don't count as new
+        const newCount = newRepos.filter(repo => !getMuteRule(repo)).length;
+        if (newCount > 0) {
+            titleDiv.insertAdjacentHTML('beforeend',
+                `<span class="new-count ml-3 px-2 py-0.5 text-sm rounded-full bg-green-100 text-green-800">${newCount} new</span>`);
+        }
+
+        const visibleRepos = options.hideSeen ? newRepos : repos;
+        const mutedCount = visibleRepos.filter(repo => getMuteRule(repo)).length;
+        let showMuted = false;
+        if (mutedCount > 0) {
+            const mutedToggle = document.createElement('button');
+            mutedToggle.className = 'muted-toggle ml-3 px-2 py-0.5 text-sm rounded-full bg-gray-100 text-gray-600 hover:bg-gray-200';
+            mutedToggle.textContent = `${mutedCount} hidden`;
+            mutedToggle.title = 'Show muted repositories';
+            mutedToggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                showMuted = !showMuted;
+                mutedToggle.textContent = showMuted ? `Hide ${mutedCount} muted` : `${mutedCount} hidden`;
+                mutedToggle.title = showMuted ? 'Hide muted repositories' : 'Show muted repositories';
+                grid.style.display = 'grid';
+                navigationDiv.style.display = 'flex';
+                renderCards();
+            });
+            titleDiv.appendChild(mutedToggle);
+        }
+
         const navigationDiv = document.createElement('div');
         navigationDiv.className = 'flex items-center navigation-controls';
 
         const currentTimeRange = sectionTimeRanges.get(language || 'all') || 'daily';
+        let sortOrder = (options.sectionSortOrders && options.sectionSortOrders.get(language || 'all')) || 'trending';
         const loadingOverlay = this.createLoadingOverlay();
 
         // Create button group
@@ -205,6 +697,23 @@ class UIComponents {
 
         // Initially hide navigation for collapsed sections
         navigationDiv.style.display = language ? 'none' : 'flex';
+        if (options.exportMenu) {
+            options.exportMenu.classList.add('mr-3');
+            navigationDiv.appendChild(options.exportMenu);
+        }
+        if (options.spokenLanguage) {
+            navigationDiv.appendChild(this.createSpokenLanguageSelect(options.spokenLanguage));
+        }
+        if (options.sectionSortOrders) {
+            navigationDiv.appendChild(this.createSortSelect(sortOrder, (sortBy) => {
+                sortOrder = sortBy;
+                options.sectionSortOrders.set(language || 'all', sortBy);
+                renderCards();
+                if (options.onSortChange) {
+                    options.onSortChange(sortBy);
+                }
+            }));
+        }
         navigationDiv.appendChild(buttonGroup);
 
         titleContainer.appendChild(titleDiv);
@@ -222,13 +731,377 @@ class UIComponents {
             const isCollapsed = grid.style.display === 'none';
             grid.style.display = isCollapsed ? 'grid' : 'none';
             navigationDiv.style.display = isCollapsed ? 'flex' : 'none';
+            if (isCollapsed && options.onExpand) {
+                options.onExpand();
+            }
         });
 
-        repos.forEach(repo => {
-            const card = this.createRepositoryCard(repo, language);
+        const renderCards = () => {
+            grid.innerHTML = '';
+            const shownRepos = showMuted ? visibleRepos : visibleRepos.filter(repo => !getMuteRule(repo));
+            this.sortRepos(shownRepos, sortOrder, options.velocity).forEach(repo => {
+                const card = this.createRepositoryCard(repo, language, {
+                    watchMatches: options.watchRules ? options.watchRules.matchRepo(repo) : [],
+                    readingList: options.readingList,
+                    stars: options.stars,
+                    velocity: options.velocity,
+                    isNew: options.isNew ? options.isNew(repo) : false,
+                    mute: options.mute,
+                    muted: Boolean(getMuteRule(repo))
+                });
+                grid.appendChild(card);
+            });
+
+            if (visibleRepos.length < repos.length && visibleRepos.length === 0) {
+                grid.innerHTML = `<p class="text-gray-500 text-center py-8 col-span-2">All ${repos.length} repositories were seen on previous visits.</p>`;
+            } else if (shownRepos.length === 0 && visibleRepos.length > 0) {
+                grid.innerHTML = `<p class="text-gray-500 text-center py-8 col-span-2">All ${visibleRepos.length} repositories are muted.</p>`;
+            }
+        };
+        renderCards();
+
+        section.appendChild(header);
+        if (options.staleSince) {
+            const banner = document.createElement('div');
+            banner.className = 'stale-banner mt-4 px-4 py-2 rounded-md bg-yellow-50 border border-yellow-200 text-sm text-yellow-800';
+            banner.textContent = `Stale — fetched ${this.formatAge(options.staleSince)}. ` +
+                (navigator.onLine ? 'GitHub could not be reached, so this is the last successful result.' :
+                    'You are offline, so this is the last successful result.');
+            section.appendChild(banner);
+        }
+        section.appendChild(grid);
+        return section;
+    }
+
+    // Create trending developer card
+    createDeveloperCard(developer) {
+        const card = document.createElement('div');
+        card.className = 'repo-card bg-gray-50 rounded-lg p-4 hover:shadow-md transition-shadow';
+
+        const popularRepoHtml = developer.popular_repo ?
+            `<div class="mt-3 text-xs">
+                <span class="uppercase tracking-wide text-gray-500">Popular repo</span>
+                <a href="${developer.popular_repo.html_url}" target="_blank" class="block text-sm font-medium text-blue-600 hover:text-blue-800 mt-1">
+                    ${this.escapeHTML(developer.popular_repo.name)}
+                </a>
+                <p class="text-gray-600 mt-1 line-clamp-2">${this.escapeHTML(developer.popular_repo.description || 'No description available')}</p>
+            </div>` : '';
+
+        card.innerHTML = `
+            <div class="flex items-start">
+                <span class="text-xs text-gray-500 w-6 mt-3 flex-shrink-0">${developer.rank}</span>
+                <a href="${developer.html_url}" target="_blank" class="flex-shrink-0 hover:opacity-80">
+                    <img src="${developer.avatar_url}" alt="@${this.escapeHTML(developer.username)}" class="w-12 h-12 rounded-full">
+                </a>
+                <div class="flex-1 ml-3">
+                    <a href="${developer.html_url}" target="_blank" class="text-lg font-medium text-blue-600 hover:text-blue-800">
+                        ${this.escapeHTML(developer.name)}
+                    </a>
+                    <p class="text-sm text-gray-500">@${this.escapeHTML(developer.username)}</p>
+                    ${popularRepoHtml}
+                </div>
+            </div>
+        `;
+
+        return card;
+    }
+
+    // Create trending developers section, scoped to one language (null = all languages)
+    createDevelopersSection(language, developers, languages, onTimeRangeChange, onLanguageChange, sectionTimeRanges) {
+        const section = document.createElement('div');
+        section.className = 'language-section bg-white rounded-lg shadow-lg p-6 relative';
+        section.dataset.section = 'developers';
+
+        const header = document.createElement('div');
+        header.className = 'flex items-center justify-between cursor-pointer p-2 rounded';
+
+        const titleContainer = document.createElement('div');
+        titleContainer.className = 'flex items-center justify-between w-full';
+
+        const titleDiv = document.createElement('div');
+        titleDiv.className = 'flex items-center';
+        titleDiv.innerHTML = `<h2 class="text-2xl font-bold text-gray-800">Trending Developers</h2>`;
+
+        const navigationDiv = document.createElement('div');
+        navigationDiv.className = 'flex items-center navigation-controls space-x-3';
+        navigationDiv.style.display = 'none';
+
+        const currentTimeRange = sectionTimeRanges.get('developers') || 'daily';
+        const loadingOverlay = this.createLoadingOverlay();
+
+        // Run a section update with the loading overlay shown
+        const withLoading = async (update) => {
+            loadingOverlay.classList.remove('hidden');
+            await update();
+            loadingOverlay.classList.add('hidden');
+        };
+
+        // Language scope selector
+        const languageSelect = document.createElement('select');
+        languageSelect.className = 'px-2 py-1 text-sm border border-gray-300 rounded-md bg-white';
+        languageSelect.innerHTML = [null, ...languages].map(lang =>
+            `<option value="${lang || ''}" ${lang === language ? 'selected' : ''}>${lang || 'All languages'}</option>`
+        ).join('');
+        languageSelect.addEventListener('click', (e) => e.stopPropagation());
+        languageSelect.addEventListener('change', () => {
+            withLoading(() => onLanguageChange(languageSelect.value || null));
+        });
+
+        // Time range buttons, keyed as the 'developers' section
+        const buttonGroup = this.createTimeRangeButtons('developers', currentTimeRange, (newTimeRange) => {
+            withLoading(() => onTimeRangeChange(newTimeRange));
+        }, sectionTimeRanges);
+
+        navigationDiv.appendChild(languageSelect);
+        navigationDiv.appendChild(buttonGroup);
+
+        titleContainer.appendChild(titleDiv);
+        titleContainer.appendChild(navigationDiv);
+        header.appendChild(titleContainer);
+
+        section.appendChild(loadingOverlay);
+
+        const grid = document.createElement('div');
+        grid.className = 'grid grid-cols-1 md:grid-cols-2 gap-6 mt-6';
+        grid.style.display = 'none';
+
+        header.addEventListener('click', () => {
+            const isCollapsed = grid.style.display === 'none';
+            grid.style.display = isCollapsed ? 'grid' : 'none';
+            navigationDiv.style.display = isCollapsed ? 'flex' : 'none';
+        });
+
+        if (developers.length > 0) {
+            developers.forEach(developer => {
+                grid.appendChild(this.createDeveloperCard(developer));
+            });
+        } else {
+            grid.innerHTML = `<p class="text-gray-500 text-center py-8 col-span-2">No trending developers found for ${language || 'all languages'}.</p>`;
+        }
+
+        section.appendChild(header);
+        section.appendChild(grid);
+        return section;
+    }
+
+    // Create the combined "All selected" feed ranked across languages
+    // entries: [{ repo, sources: [language] }]; language chips filter the feed by source
+    // options.onExpand runs whenever the user expands the feed
+    createCombinedFeedSection(entries, languages, onTimeRangeChange, sectionTimeRanges, options = {}) {
+        const section = document.createElement('div');
+        section.className = 'language-section bg-white rounded-lg shadow-lg p-6 relative';
+        section.dataset.section = 'combined';
+
+        const header = document.createElement('div');
+        header.className = 'flex items-center justify-between cursor-pointer p-2 rounded';
+
+        const titleContainer = document.createElement('div');
+        titleContainer.className = 'flex items-center justify-between w-full';
+
+        const titleDiv = document.createElement('div');
+        titleDiv.className = 'flex items-center';
+        titleDiv.innerHTML = `
+            <h2 class="text-2xl font-bold text-gray-800">All selected</h2>
+            <span class="ml-3 text-sm text-gray-500">${entries.length} repositories from ${languages.length} languages</span>
+        `;
+
+        const navigationDiv = document.createElement('div');
+        navigationDiv.className = 'flex items-center navigation-controls';
+        navigationDiv.style.display = 'none';
+
+        const currentTimeRange = sectionTimeRanges.get('combined') || 'daily';
+        const loadingOverlay = this.createLoadingOverlay();
+
+        // Time range buttons, keyed as the 'combined' section
+        const buttonGroup = this.createTimeRangeButtons('combined', currentTimeRange, async (newTimeRange) => {
+            loadingOverlay.classList.remove('hidden');
+            await onTimeRangeChange(newTimeRange);
+            loadingOverlay.classList.add('hidden');
+        }, sectionTimeRanges);
+        navigationDiv.appendChild(buttonGroup);
+
+        titleContainer.appendChild(titleDiv);
+        titleContainer.appendChild(navigationDiv);
+        header.appendChild(titleContainer);
+
+        section.appendChild(loadingOverlay);
+
+        const body = document.createElement('div');
+        body.className = 'combined-feed-body mt-4';
+        body.style.display = 'none';
+
+        // Language chips toggle which sources are included
+        const excluded = new Set();
+        const chips = document.createElement('div');
+        chips.className = 'flex flex-wrap gap-2';
+        languages.forEach(language => {
+            const count = entries.filter(entry => entry.sources.includes(language)).length;
+            const chip = document.createElement('button');
+            chip.className = 'language-chip flex items-center px-3 py-1 text-xs rounded-full border border-gray-300 bg-gray-50 text-gray-700';
+            chip.innerHTML = `${this.createLanguageDotHTML(language)}${language} <span class="ml-1 text-gray-500">${count}</span>`;
+            chip.addEventListener('click', () => {
+                if (excluded.has(language)) {
+                    excluded.delete(language);
+                } else {
+                    excluded.add(language);
+                }
+                chip.classList.toggle('opacity-40', excluded.has(language));
+                grid.querySelectorAll('.repo-card[data-sources]').forEach(card => {
+                    const sources = card.dataset.sources.split('|');
+                    card.style.display = sources.every(source => excluded.has(source)) ? 'none' : '';
+                });
+            });
+            chips.appendChild(chip);
+        });
+
+        const grid = document.createElement('div');
+        grid.className = 'grid grid-cols-1 md:grid-cols-2 gap-6 mt-6';
+
+        entries.forEach((entry, index) => {
+            const card = this.createRepositoryCard(entry.repo, null, {
+                watchMatches: options.watchRules ? options.watchRules.matchRepo(entry.repo) : [],
+                readingList: options.readingList,
+                stars: options.stars,
+                velocity: options.velocity
+            });
+            card.dataset.sources = entry.sources.join('|');
+
+            const note = document.createElement('div');
+            note.className = 'flex flex-wrap items-center gap-2 mt-3 text-xs text-gray-500';
+            note.innerHTML = `<span class="font-medium text-gray-700">#${index + 1}</span><span>Trending in</span>` +
+                entry.sources.map(language =>
+                    `<span class="flex items-center px-2 py-0.5 rounded-full bg-gray-100 text-gray-700">${this.createLanguageDotHTML(language)}${language}</span>`
+                ).join('');
+            card.appendChild(note);
             grid.appendChild(card);
         });
 
+        if (entries.length === 0) {
+            grid.innerHTML = '<p class="text-gray-500 text-center py-8 col-span-2">No repositories loaded for the selected languages yet.</p>';
+        }
+
+        header.addEventListener('click', () => {
+            const isCollapsed = body.style.display === 'none';
+            body.style.display = isCollapsed ? 'block' : 'none';
+            navigationDiv.style.display = isCollapsed ? 'flex' : 'none';
+            if (isCollapsed && options.onExpand) {
+                options.onExpand();
+            }
+        });
+
+        body.appendChild(chips);
+        body.appendChild(grid);
+        section.appendChild(header);
+        section.appendChild(body);
+        return section;
+    }
+
+    // Create the "Watch hits" section listing watch rule matches across loaded sections
+    // hits: [{ repo, matches, sources: [{ language, timeRange }] }]
+    // options.readingList adds bookmark toggles to the cards; options.stars adds GitHub star toggles
+    createWatchHitsSection(hits, options = {}) {
+        const section = document.createElement('div');
+        section.className = 'language-section bg-white rounded-lg shadow-lg p-6 relative';
+        section.dataset.section = 'watch-hits';
+
+        const header = document.createElement('div');
+        header.className = 'flex items-center justify-between cursor-pointer p-2 rounded';
+        header.innerHTML = `
+            <div class="flex items-center">
+                <h2 class="text-2xl font-bold text-gray-800">Watch hits</h2>
+                <span class="ml-3 px-2 py-0.5 text-sm rounded-full bg-yellow-100 text-yellow-800">${hits.length}</span>
+            </div>
+        `;
+
+        const grid = document.createElement('div');
+        grid.className = 'grid grid-cols-1 md:grid-cols-2 gap-6 mt-6';
+
+        header.addEventListener('click', () => {
+            grid.style.display = grid.style.display === 'none' ? 'grid' : 'none';
+        });
+
+        if (hits.length === 0) {
+            grid.innerHTML = '<p class="text-gray-500 text-center py-8 col-span-2">No loaded repositories match your watch rules.</p>';
+        }
+
+        hits.forEach(hit => {
+            const card = this.createRepositoryCard(hit.repo, null, {
+                watchMatches: hit.matches,
+                readingList: options.readingList,
+                stars: options.stars,
+                velocity: options.velocity
+            });
+            const sources = document.createElement('p');
+            sources.className = 'text-xs text-gray-500 mt-2';
+            sources.textContent = 'Found in: ' + hit.sources.map(source =>
+                `${source.language || 'Overall'} · ${this.timeRangeLabels[source.timeRange]}`
+            ).join(', ');
+            card.appendChild(sources);
+            grid.appendChild(card);
+        });
+
+        section.appendChild(header);
+        section.appendChild(grid);
+        return section;
+    }
+
+    // Create the "Fastest rising" section (entries: [{ repo, velocity }])
+    // options.sortOrder picks 'stars_per_hour' or 'acceleration'; options.onSortChange(sortBy) persists it
+    createFastestRisingSection(entries, options = {}) {
+        const section = document.createElement('div');
+        section.className = 'language-section bg-white rounded-lg shadow-lg p-6 relative';
+        section.dataset.section = 'fastest-rising';
+
+        const header = document.createElement('div');
+        header.className = 'flex items-center justify-between cursor-pointer p-2 rounded';
+        header.innerHTML = `
+            <div class="flex items-center">
+                <h2 class="text-2xl font-bold text-gray-800">Fastest rising</h2>
+                <span class="ml-3 px-2 py-0.5 text-sm rounded-full bg-green-100 text-green-800">${entries.length}</span>
+            </div>
+        `;
+
+        const navigationDiv = document.createElement('div');
+        navigationDiv.className = 'flex items-center navigation-controls';
+        header.appendChild(navigationDiv);
+
+        const grid = document.createElement('div');
+        grid.className = 'grid grid-cols-1 md:grid-cols-2 gap-6 mt-6';
+        grid.style.display = 'none';
+        navigationDiv.style.display = 'none';
+
+        header.addEventListener('click', () => {
+            const isCollapsed = grid.style.display === 'none';
+            grid.style.display = isCollapsed ? 'grid' : 'none';
+            navigationDiv.style.display = isCollapsed ? 'flex' : 'none';
+        });
+
+        let sortOrder = options.sortOrder || 'stars_per_hour';
+        const renderCards = () => {
+            grid.innerHTML = '';
+            // Repositories without an acceleration yet go last when sorting by it
+            const value = entry => sortOrder === 'acceleration' ?
+                (entry.velocity.acceleration === null ? -Infinity : entry.velocity.acceleration) :
+                entry.velocity.starsPerHour;
+            entries.slice().sort((a, b) => value(b) - value(a)).forEach(entry => {
+                grid.appendChild(this.createRepositoryCard(entry.repo, null, {
+                    watchMatches: options.watchRules ? options.watchRules.matchRepo(entry.repo) : [],
+                    readingList: options.readingList,
+                    stars: options.stars,
+                    velocity: options.velocity
+                }));
+            });
+        };
+
+        navigationDiv.appendChild(this.createSortSelect(sortOrder, (sortBy) => {
+            sortOrder = sortBy;
+            renderCards();
+            if (options.onSortChange) {
+                options.onSortChange(sortBy);
+            }
+        }, this.risingSortOrders));
+        renderCards();
+
         section.appendChild(header);
         section.appendChild(grid);
         return section;
@@ -248,7 +1121,7 @@ class UIComponents {
         const titleDiv = document.createElement('div');
         titleDiv.className = 'flex items-center';
         titleDiv.innerHTML = language ?
-            `<span class="language-indicator ${this.getLanguageClass(language)}"></span>
+            `${this.createLanguageDotHTML(language, 'language-indicator')}
             <h2 class="text-2xl font-bold text-gray-800">${language}</h2>` :
             `<h2 class="text-2xl font-bold text-gray-800">Overall Trending</h2>`;
 
@@ -304,10 +1177,21 @@ class UIComponents {
     }
 
     // Create loading placeholder section
-    createLoadingSection(language) {
+    // options.compact makes it as tall as a collapsed section, so lazily loaded sections don't shrink when they
+    // render and pull the placeholders below them into view
+    createLoadingSection(language, options = {}) {
         const section = document.createElement('div');
         section.className = 'language-section bg-white rounded-lg shadow-lg p-6 relative';
         section.dataset.language = language || 'all';
+        if (options.compact) {
+            section.innerHTML = `
+                <div class="flex items-center p-2">
+                    <div class="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-500 mr-3"></div>
+                    <h2 class="text-2xl font-bold text-gray-400">${this.escapeHTML(language || 'Overall Trending')}</h2>
+                </div>
+            `;
+            return section;
+        }
         section.innerHTML = `
             <div class="flex items-center justify-center p-8">
                 <div class="flex flex-col items-center">
@@ -0,0 +1,72 @@
+// Visit Tracker Module
+// Remembers which repositories each section showed so new ones can be flagged on the next visit
+
+class VisitTracker {
+    constructor(options = {}) {
+        this.storageKey = 'visit_seen';
+        this.retention = options.retention || 30 * 24 * 60 * 60 * 1000; // Forget pairs unseen for 30 days
+        this.persistDelay = 1000;
+        this.seen = {}; // Seen key (section and time range) -> { full_name: last shown timestamp }, including this visit
+        this.previousSeen = {}; // Snapshot taken at load time, before this visit recorded anything
+        this.hasPreviousVisit = false;
+        this.persistTimer = null;
+    }
+
+    // Load what earlier visits showed
+    async load() {
+        const stored = await new Promise(resolve => {
+            chrome.storage.local.get(this.storageKey, result => {
+                resolve(result[this.storageKey] || null);
+            });
+        });
+
+        const now = Date.now();
+        this.seen = {};
+        Object.entries(stored || {}).forEach(([sectionKey, repos]) => {
+            const recent = Object.entries(repos).filter(([, timestamp]) => now - timestamp < this.retention);
+            if (recent.length > 0) {
+                this.seen[sectionKey] = Object.fromEntries(recent);
+            }
+        });
+
+        this.previousSeen = JSON.parse(JSON.stringify(this.seen));
+        // On the very first visit nothing is flagged as new
+        this.hasPreviousVisit = stored !== null;
+    }
+
+    // Generate the key seen repositories are kept under; each time range of a section is tracked on its own
+    generateKey(language, timeRange) {
+        return `${language || 'all'}:${timeRange}`;
+    }
+
+    // Check whether earlier visits saw a section, so its repositories can be told apart as new or seen
+    // A section with nothing seen before (first visit, just added, or its last visit expired) is only a baseline
+    hasBaseline(sectionKey) {
+        return this.hasPreviousVisit && Boolean(this.previousSeen[sectionKey]);
+    }
+
+    // Check whether a repository is new to a section since the last visit
+    isNew(sectionKey, fullName) {
+        if (!this.hasBaseline(sectionKey)) return false;
+        return !this.previousSeen[sectionKey][fullName];
+    }
+
+    // Record repositories shown in a section during this visit
+    recordShown(sectionKey, repos) {
+        const now = Date.now();
+        this.seen[sectionKey] = this.seen[sectionKey] || {};
+        repos.forEach(repo => {
+            this.seen[sectionKey][repo.full_name] = now;
+        });
+
+        clearTimeout(this.persistTimer);
+        this.persistTimer = setTimeout(() => {
+            chrome.storage.local.set({ [this.storageKey]: this.seen });
+        }, this.persistDelay);
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.VisitTracker = VisitTracker;
+}
@@ -0,0 +1,114 @@
+// Watch Rules Module
+// Handles user-defined keyword/regex rules that flag interesting repositories
+
+class WatchRules {
+    constructor() {
+        this.storageKey = 'watch_rules';
+        this.rules = [];
+        this.fields = {
+            any: 'Any field',
+            full_name: 'Name',
+            description: 'Description',
+            language: 'Language',
+            owner: 'Owner'
+        };
+        this.compiled = new Map(); // Rule id -> RegExp
+    }
+
+    // Load rules from storage
+    async load() {
+        this.rules = await new Promise(resolve => {
+            chrome.storage.local.get(this.storageKey, result => {
+                resolve(result[this.storageKey] || []);
+            });
+        });
+        this.compiled.clear();
+        return this.rules;
+    }
+
+    // Save rules to storage
+    async save() {
+        return new Promise(resolve => {
+            chrome.storage.local.set({
+                [this.storageKey]: this.rules
+            }, resolve);
+        });
+    }
+
+    // Add a rule; keywords match when every word appears, regexes are case-insensitive
+    async addRule(pattern, isRegex = false, field = 'any') {
+        const trimmed = (pattern || '').trim();
+        if (!trimmed) {
+            throw new Error('Rule pattern cannot be empty');
+        }
+        if (!this.fields[field]) {
+            throw new Error(`Unknown field "${field}"`);
+        }
+        if (isRegex) {
+            try {
+                new RegExp(trimmed, 'i');
+            } catch (error) {
+                throw new Error(`Invalid regular expression: ${error.message}`);
+            }
+        }
+        if (this.rules.some(rule => rule.pattern === trimmed && rule.isRegex === isRegex && rule.field === field)) {
+            throw new Error('Rule already exists');
+        }
+
+        const rule = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            pattern: trimmed,
+            isRegex,
+            field
+        };
+        this.rules.push(rule);
+        await this.save();
+        return rule;
+    }
+
+    // Remove a rule
+    async removeRule(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        this.compiled.delete(id);
+        await this.save();
+    }
+
+    // Get the text of the repository fields a rule looks at
+    getFieldTexts(repo, field) {
+        const values = {
+            full_name: repo.full_name,
+            description: repo.description,
+            language: repo.language,
+            owner: repo.owner
+        };
+        const texts = field === 'any' ? Object.values(values) : [values[field]];
+        return texts.filter(Boolean);
+    }
+
+    // Check whether a single rule matches a repository
+    ruleMatches(rule, repo) {
+        const texts = this.getFieldTexts(repo, rule.field);
+
+        if (rule.isRegex) {
+            if (!this.compiled.has(rule.id)) {
+                this.compiled.set(rule.id, new RegExp(rule.pattern, 'i'));
+            }
+            const regex = this.compiled.get(rule.id);
+            return texts.some(text => regex.test(text));
+        }
+
+        const words = rule.pattern.toLowerCase().split(/\s+/);
+        const haystack = texts.join(' ').toLowerCase();
+        return words.every(word => haystack.includes(word));
+    }
+
+    // Get every rule that matches a repository
+    matchRepo(repo) {
+        return this.rules.filter(rule => this.ruleMatches(rule, repo));
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.WatchRules = WatchRules;
+}
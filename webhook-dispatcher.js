@@ -0,0 +1,304 @@
+// Webhook Dispatcher Module
+// Posts new trending entries to a webhook as JSON or Slack payloads, signed, with a retry queue and a delivery log
+
+class WebhookDispatcher {
+    constructor(options = {}) {
+        this.queueKey = 'webhook_queue';
+        this.logKey = 'webhook_log';
+        this.maxAttempts = options.maxAttempts || 5;
+        this.baseDelay = options.baseDelay || 60 * 1000; // Doubles with every failed attempt
+        this.maxLogEntries = 50;
+        this.timeout = 10000;
+        // Default payload templates; strings that are exactly "{{name}}" take the variable's value as is
+        this.templates = {
+            json: JSON.stringify({
+                event: '{{event}}',
+                sent_at: '{{sent_at}}',
+                count: '{{count}}',
+                entries: '{{entries}}'
+            }, null, 2),
+            slack: JSON.stringify({
+                text: '*{{count}} new on GitHub Trending* ({{date}})\n{{entries_text}}'
+            }, null, 2)
+        };
+        this.formats = {
+            json: 'JSON',
+            slack: 'Slack'
+        };
+    }
+
+    // Read keys from storage
+    read(key, fallback) {
+        return new Promise(resolve => {
+            chrome.storage.local.get(key, result => resolve(result[key] || fallback));
+        });
+    }
+
+    // Write items to storage
+    write(items) {
+        return new Promise(resolve => chrome.storage.local.set(items, resolve));
+    }
+
+    // Get the display name of a section key
+    getSectionLabel(sectionKey) {
+        return sectionKey === 'all' ? 'Overall Trending' : sectionKey;
+    }
+
+    // Keep new entries ({ sectionKey, repo, rank }) that pass their section's filter
+    // Sections without a filter are included with no minimum
+    filterEntries(entries, settings) {
+        return entries.filter(({ sectionKey, repo }) => {
+            const filter = settings.sectionFilters[sectionKey];
+            if (!filter) return true;
+            return filter.enabled && (repo.period_stars || 0) >= (filter.minPeriodStars || 0);
+        });
+    }
+
+    // A sample entry for test deliveries
+    getTestEntries() {
+        return [{
+            sectionKey: 'all',
+            rank: 1,
+            repo: {
+                full_name: 'octocat/Hello-World',
+                html_url: 'https://github.com/octocat/Hello-World',
+                description: 'Test delivery from the GitHub Trending extension',
+                language: '',
+                stargazers_count: 0,
+                period_stars: 0
+            }
+        }];
+    }
+
+    // Values the payload template can use
+    buildVariables(entries, event) {
+        const now = new Date();
+        const items = entries.map(({ sectionKey, repo, rank }) => ({
+            section: sectionKey,
+            section_label: this.getSectionLabel(sectionKey),
+            rank,
+            full_name: repo.full_name,
+            html_url: repo.html_url,
+            description: repo.description || '',
+            language: repo.language || '',
+            stargazers_count: repo.stargazers_count || 0,
+            period_stars: repo.period_stars || 0
+        }));
+        // Slack mrkdwn needs &, < and > escaped outside links
+        const escapeSlack = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+        return {
+            event,
+            sent_at: now.toISOString(),
+            date: now.toISOString().substring(0, 10),
+            count: items.length,
+            sections: [...new Set(items.map(item => item.section_label))].join(', '),
+            entries: items,
+            entries_text: items.map(item =>
+                `• <${item.html_url}|${item.full_name}> — ${escapeSlack(item.section_label)} #${item.rank}` +
+                (item.period_stars ? `, ${item.period_stars.toLocaleString()} stars today` : '')
+            ).join('\n')
+        };
+    }
+
+    // Fill a JSON template with variables and return the request body
+    // Throws when the template isn't valid JSON
+    renderTemplate(template, variables) {
+        const fill = value => {
+            if (typeof value === 'string') {
+                const exact = value.match(/^\{\{(\w+)\}\}$/);
+                if (exact && exact[1] in variables) {
+                    return variables[exact[1]];
+                }
+                return value.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+                    if (!(name in variables)) return match;
+                    return typeof variables[name] === 'string' ? variables[name] : JSON.stringify(variables[name]);
+                });
+            }
+            if (Array.isArray(value)) {
+                return value.map(fill);
+            }
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fill(item)]));
+            }
+            return value;
+        };
+        return JSON.stringify(fill(JSON.parse(template)));
+    }
+
+    // Get the template in effect (the user's, or the format's default)
+    getTemplate(settings) {
+        return settings.template.trim() || this.templates[settings.format] || this.templates.json;
+    }
+
+    // Check a template, returning an error message or null
+    validateTemplate(template) {
+        if (!template.trim()) return null;
+        try {
+            this.renderTemplate(template, this.buildVariables([], 'test'));
+            return null;
+        } catch (error) {
+            return `The payload template is not valid JSON: ${error.message}`;
+        }
+    }
+
+    // Sign a body with HMAC-SHA256, formatted like GitHub's X-Hub-Signature-256
+    async sign(body, secret) {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(body));
+        const hex = Array.from(new Uint8Array(signature)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+        return `sha256=${hex}`;
+    }
+
+    // POST a delivery once; network errors, 429 and 5xx responses are worth retrying
+    async send(delivery, settings) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Trending-Event': delivery.event,
+            'X-Trending-Delivery': delivery.id
+        };
+        if (settings.secret) {
+            headers['X-Trending-Signature-256'] = await this.sign(delivery.body, settings.secret);
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers,
+                body: delivery.body,
+                signal: controller.signal
+            });
+            return {
+                ok: response.ok,
+                status: response.status,
+                error: response.ok ? null : `HTTP error! status: ${response.status}`,
+                retryable: response.status === 429 || response.status >= 500
+            };
+        } catch (error) {
+            return {
+                ok: false,
+                status: null,
+                error: error.name === 'AbortError' ? `Timed out after ${this.timeout}ms` : error.message,
+                retryable: true
+            };
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // Deliver entries to the configured webhook; returns the log entry, or null when there was nothing to send
+    // event 'test' skips the section filters
+    async deliver(entries, settings, event = 'new_entries') {
+        if (!settings.url || (event !== 'test' && !settings.enabled)) return null;
+
+        const matching = event === 'test' ? entries : this.filterEntries(entries, settings);
+        if (matching.length === 0) return null;
+
+        const delivery = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`,
+            event,
+            url: settings.url,
+            body: this.renderTemplate(this.getTemplate(settings), this.buildVariables(matching, event)),
+            count: matching.length,
+            attempts: 0,
+            createdAt: Date.now()
+        };
+        return this.attempt(delivery, settings);
+    }
+
+    // Try a delivery, logging the outcome and queueing a retry when it failed for a retryable reason
+    async attempt(delivery, settings) {
+        delivery.attempts++;
+        const result = await this.send(delivery, settings);
+        const willRetry = !result.ok && result.retryable && delivery.attempts < this.maxAttempts;
+
+        if (willRetry) {
+            delivery.nextAttemptAt = Date.now() + this.baseDelay * 2 ** (delivery.attempts - 1);
+            const queue = await this.read(this.queueKey, []);
+            await this.write({ [this.queueKey]: [...queue.filter(item => item.id !== delivery.id), delivery] });
+        }
+
+        return this.log(delivery, result, willRetry ? delivery.nextAttemptAt : null);
+    }
+
+    // Add an entry for a delivery to the log and return it
+    async log(delivery, result, nextAttemptAt = null) {
+        const logEntry = {
+            id: delivery.id,
+            event: delivery.event,
+            url: delivery.url,
+            count: delivery.count,
+            attempt: delivery.attempts,
+            at: Date.now(),
+            ok: result.ok,
+            status: result.status,
+            error: result.error,
+            nextAttemptAt
+        };
+        const log = await this.read(this.logKey, []);
+        await this.write({ [this.logKey]: [logEntry, ...log].slice(0, this.maxLogEntries) });
+        return logEntry;
+    }
+
+    // Drop queued retries once the webhook is off or points somewhere else; returns the remaining queue
+    async dropStaleRetries(settings) {
+        const queue = await this.read(this.queueKey, []);
+        const stale = queue.filter(delivery => !settings.enabled || !settings.url || delivery.url !== settings.url);
+        if (stale.length === 0) return queue;
+
+        const pending = queue.filter(delivery => !stale.includes(delivery));
+        await this.write({ [this.queueKey]: pending });
+        for (const delivery of stale) {
+            await this.log(delivery, {
+                ok: false,
+                status: null,
+                error: settings.enabled && settings.url ? 'Retry dropped: the webhook URL changed' : 'Retry dropped: the webhook is off'
+            });
+        }
+        return pending;
+    }
+
+    // Retry queued deliveries that are due (all of them when force is set) with the current settings,
+    // so retries are signed with the current secret and never go to an old URL
+    async processQueue(settings, force = false) {
+        const pending = await this.dropStaleRetries(settings);
+        const now = Date.now();
+        const due = pending.filter(delivery => force || delivery.nextAttemptAt <= now);
+        if (due.length === 0) return;
+
+        // Take due deliveries off the queue; failed ones are queued again by attempt
+        await this.write({ [this.queueKey]: pending.filter(delivery => !due.includes(delivery)) });
+        for (const delivery of due) {
+            await this.attempt(delivery, settings);
+        }
+    }
+
+    // Get when the next queued retry is due (null when the queue is empty)
+    async getNextRetryAt() {
+        const queue = await this.read(this.queueKey, []);
+        return queue.length > 0 ? Math.min(...queue.map(delivery => delivery.nextAttemptAt)) : null;
+    }
+
+    // Get the delivery log, newest first
+    getLog() {
+        return this.read(this.logKey, []);
+    }
+
+    // Get the number of deliveries waiting for a retry
+    async getQueueLength() {
+        return (await this.read(this.queueKey, [])).length;
+    }
+
+    // Clear the delivery log
+    clearLog() {
+        return this.write({ [this.logKey]: [] });
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.WebhookDispatcher = WebhookDispatcher;
+}